@@ -1,3 +1,3 @@
-import WebviewBus from './src/WebviewBus'
+import TableStore from './src/TableStore'
 
-export default WebviewBus
+export default TableStore
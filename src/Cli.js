@@ -0,0 +1,467 @@
+const fs = require('fs')
+const path = require('path')
+const TableStore = require('./TableStore')
+const Codec = require('./Codec')
+const Transfer = require('./Transfer')
+const { ValidationError } = require('./Errors')
+
+/**
+ * 帮助信息
+ * @type {String}
+ */
+const USAGE = `用法：tablestore-orm <命令> [参数] [选项]
+
+命令：
+  tables                                    列出所有表
+  describe <table>                          查看表结构
+  get <table> --pk <json>                   按主键读取一行
+  scan <table> [--where <json>] [--limit n] 范围读（--filter、--reverse、--after 翻页）
+  count <table> [--where <json>]            统计范围内的行数（--filter）
+  put <table> --row <json>                  写入一行（--expect exist|notExist|ignore）
+  delete <table> --pk <json>                删除一行（--expect）
+  sync                                      同步配置文件中定义的表（--create、--alter）
+
+连接选项（优先级：命令行 > 环境变量 > 配置文件）：
+  --endpoint            TABLESTORE_ENDPOINT
+  --instance            TABLESTORE_INSTANCE
+  --access-key-id       TABLESTORE_ACCESS_KEY_ID
+  --access-key-secret   TABLESTORE_ACCESS_KEY_SECRET
+  --config <file>       TABLESTORE_CONFIG（默认为当前目录的 tablestore.config.js 或 tablestore.config.json）
+
+输出选项：
+  --json                以 JSON 输出（默认为表格）
+
+--row、--pk 的值（与 export 的 jsonl 格式一致）：
+  未声明类型的列中，JSON 整数写为 INTEGER，小数写为 DOUBLE
+  {"$int":"9007199254740993"}、{"$double":1}、{"$binary":"base64"} 指定类型，null 表示不写入该列
+`
+
+/**
+ * 不带值的选项
+ * @type {Array}
+ */
+const BOOLEAN_OPTIONS = ['json', 'reverse', 'create', 'alter', 'help']
+
+/**
+ * 默认的配置文件名
+ * @type {Array}
+ */
+const CONFIG_FILES = ['tablestore.config.js', 'tablestore.config.json']
+
+/**
+ * 命令 => 处理方法
+ * @type {Object}
+ */
+const COMMANDS = {
+  'tables': '__tables',
+  'describe': '__describe',
+  'get': '__get',
+  'scan': '__scan',
+  'count': '__count',
+  'put': '__put',
+  'delete': '__delete',
+  'sync': '__sync'
+}
+
+/**
+ * 将短横线命名转为驼峰命名
+ * @param  {String} name 名称
+ * @return {String}      驼峰命名
+ */
+function camelCase (name) {
+  return name.replace(/-([a-z])/g, (match, c) => c.toUpperCase())
+}
+
+/**
+ * 计算字符串的显示宽度（中文等全角字符占两列）
+ * @param  {String} str 字符串
+ * @return {Number}     显示宽度
+ */
+function displayWidth (str) {
+  let width = 0
+  for (let c of str) width += c.codePointAt(0) >= 0x2e80 ? 2 : 1
+  return width
+}
+
+/**
+ * 将值格式化为单元格文本
+ * @param  {*}      value 值
+ * @return {String}       文本
+ */
+function formatValue (value) {
+  if (value === undefined || value === null) return ''
+  if (Buffer.isBuffer(value)) return value.toString('base64')
+  if (typeof value === 'object') return JSON.stringify(value, jsonReplacer)
+  return String(value)
+}
+
+/**
+ * JSON 序列化（BigInt 输出为字符串，Buffer 输出为 base64）
+ * @param  {String} key   键
+ * @param  {*}      value 值
+ * @return {*}            序列化的值
+ */
+function jsonReplacer (key, value) {
+  let raw = this[key]
+  if (Buffer.isBuffer(raw)) return raw.toString('base64')
+  if (Codec.isBigInt(value)) return String(value)
+  return value
+}
+
+/**
+ * Cli 类（tablestore-orm 命令行工具）
+ */
+class Cli {
+  /**
+   * 构造函数
+   * @param  {Object} options         选项
+   * @param  {Stream} options.stdout  标准输出（默认为 process.stdout）
+   * @param  {Stream} options.stderr  错误输出（默认为 process.stderr）
+   * @param  {Object} options.env     环境变量（默认为 process.env）
+   * @param  {String} options.cwd     工作目录（默认为 process.cwd()）
+   */
+  constructor (options = {}) {
+    this.stdout = options.stdout || process.stdout
+    this.stderr = options.stderr || process.stderr
+    this.env = options.env || process.env
+    this.cwd = options.cwd || process.cwd()
+    this.store = null
+    this.options = {}
+  }
+
+  /**
+   * 执行命令
+   * @param  {Array} argv 命令行参数（不含 node 与脚本路径）
+   * @return {Promise}    promise，结果为退出码
+   */
+  async run (argv) {
+    try {
+      let { args, options } = Cli.parseArgs(argv)
+      let command = args.shift()
+      if (!command || options.help) {
+        this.stdout.write(USAGE)
+        return command || options.help ? 0 : 1
+      }
+      if (!COMMANDS[command]) throw new ValidationError(`未知命令 ${command}，使用 --help 查看帮助`)
+
+      this.options = options
+      let config = this.loadConfig(options)
+      this.store = new TableStore(config)
+      for (let tableName in config.tables || {}) this.store.defineTable(tableName, config.tables[tableName])
+
+      await this[COMMANDS[command]](args, options)
+      return 0
+    } catch (err) {
+      this.stderr.write(`错误：${err.message}\n`)
+      return 1
+    }
+  }
+
+  /**
+   * 读取连接配置（命令行 > 环境变量 > 配置文件）
+   * @param  {Object} options 命令行选项
+   * @return {Object}         TableStore 选项
+   */
+  loadConfig (options) {
+    let env = this.env
+    let config = {}
+    let file = options.config || env.TABLESTORE_CONFIG
+    if (!file) file = CONFIG_FILES.find((name) => fs.existsSync(path.resolve(this.cwd, name)))
+    if (file) {
+      file = path.resolve(this.cwd, file)
+      if (!fs.existsSync(file)) throw new ValidationError(`配置文件 ${file} 不存在`)
+      config = Object.assign({}, require(file))
+    }
+
+    let pick = (...values) => values.find((value) => value !== undefined && value !== '')
+    Object.assign(config, {
+      accessKeyId: pick(options.accessKeyId, env.TABLESTORE_ACCESS_KEY_ID, config.accessKeyId),
+      accessKeySecret: pick(options.accessKeySecret, env.TABLESTORE_ACCESS_KEY_SECRET, config.accessKeySecret),
+      endpoint: pick(options.endpoint, env.TABLESTORE_ENDPOINT, config.endpoint),
+      instancename: pick(options.instance, env.TABLESTORE_INSTANCE, config.instancename)
+    })
+    if (!config.driver) {
+      let missing = ['accessKeyId', 'accessKeySecret', 'endpoint', 'instancename'].filter((key) => !config[key])
+      if (missing.length) throw new ValidationError(`缺少连接配置：${missing.join('、')}`)
+    }
+    return config
+  }
+
+  /**
+   * 列出所有表
+   */
+  async __tables () {
+    let result = await this.store.listTable()
+    let names = (result.table_names || []).slice().sort()
+    this.__print(names, () => this.__printTable(names.map((tableName) => ({ tableName }))))
+  }
+
+  /**
+   * 查看表结构
+   * @param  {Array} args 参数 [表名]
+   */
+  async __describe (args) {
+    let data = await this.__table(args).describe()
+    let meta = data.table_meta || {}
+    let tableOptions = data.table_options || {}
+    let capacityUnit = (data.reserved_throughput_details || {}).capacity_unit || {}
+    let result = {
+      tableName: meta.table_name,
+      primaryKeys: (meta.primary_key || []).map((item) => ({
+        name: item.name,
+        type: Codec.normalizeType(item.type, true),
+        autoIncrement: item.option === 1
+      })),
+      definedColumns: (meta.defined_column || []).map((item) => item.name),
+      timeToLive: tableOptions.time_to_live,
+      maxVersions: tableOptions.max_versions,
+      reservedRead: capacityUnit.read || 0,
+      reservedWrite: capacityUnit.write || 0,
+      indexes: (data.index_metas || []).map((item) => item.name)
+    }
+    this.__print(result, () => this.__printTable([
+      { key: '表名', value: result.tableName },
+      { key: '主键', value: result.primaryKeys.map((item) => `${item.name} ${item.type}${item.autoIncrement ? ' AUTO_INCREMENT' : ''}`).join(', ') },
+      { key: '预定义列', value: result.definedColumns.join(', ') },
+      { key: 'TTL', value: result.timeToLive },
+      { key: '最大版本数', value: result.maxVersions },
+      { key: '预留读', value: result.reservedRead },
+      { key: '预留写', value: result.reservedWrite },
+      { key: '二级索引', value: result.indexes.join(', ') }
+    ], ['key', 'value']))
+  }
+
+  /**
+   * 按主键读取一行
+   * @param  {Array}  args    参数 [表名]
+   * @param  {Object} options 选项 { pk }
+   */
+  async __get (args, options) {
+    let table = await this.__syncedTable(args)
+    let row = await table.get(this.__row(table, options.pk, 'pk'))
+    this.__print(row, () => {
+      if (!row) return this.stdout.write('(空)\n')
+      this.__printTable(Object.keys(row).map((key) => ({ column: key, value: row[key] })), ['column', 'value'])
+    })
+  }
+
+  /**
+   * 范围读（一页）
+   * @param  {Array}  args    参数 [表名]
+   * @param  {Object} options 选项 { where, filter, limit, reverse, after }
+   */
+  async __scan (args, options) {
+    let result = await this.__table(args).select({
+      where: this.__json(options.where, 'where') || {},
+      filter: this.__json(options.filter, 'filter'),
+      limit: options.limit ? this.__number(options.limit, 'limit') : 10,
+      direction: options.reverse ? 'backward' : 'forward',
+      after: options.after || null
+    })
+    this.__print(result, () => {
+      this.__printTable(result.rows)
+      this.stdout.write(`${result.rows.length} 行\n`)
+      if (result.nextToken) this.stderr.write(`下一页：--after ${result.nextToken}\n`)
+    })
+  }
+
+  /**
+   * 统计范围内的行数
+   * @param  {Array}  args    参数 [表名]
+   * @param  {Object} options 选项 { where, filter }
+   */
+  async __count (args, options) {
+    let scanner = this.__table(args).scan({
+      where: this.__json(options.where, 'where') || {},
+      filter: this.__json(options.filter, 'filter'),
+      pages: true
+    })
+    let count = 0
+    for await (let rows of scanner) count += rows.length
+    this.__print({ count }, () => this.stdout.write(`${count}\n`))
+  }
+
+  /**
+   * 写入一行
+   * @param  {Array}  args    参数 [表名]
+   * @param  {Object} options 选项 { row, expect }
+   */
+  async __put (args, options) {
+    let table = await this.__syncedTable(args)
+    let result = await table.put(this.__row(table, options.row, 'row'), { expect: options.expect })
+    this.__print(result, () => this.__printTable([result]))
+  }
+
+  /**
+   * 删除一行
+   * @param  {Array}  args    参数 [表名]
+   * @param  {Object} options 选项 { pk, expect }
+   */
+  async __delete (args, options) {
+    let table = await this.__syncedTable(args)
+    let pk = this.__row(table, options.pk, 'pk')
+    await table.delete(pk, { expect: options.expect })
+    this.__print({ deleted: pk }, () => this.stdout.write('已删除\n'))
+  }
+
+  /**
+   * 同步配置文件中定义的表（配置文件的 tables 选项：{ 表名: 数据表选项 }）
+   * @param  {Array}  args    参数
+   * @param  {Object} options 选项 { create, alter }
+   */
+  async __sync (args, options) {
+    let report = await this.store.sync({ create: options.create, alter: options.alter })
+    this.__print(report, () => {
+      this.__printTable(report.tables.map((item) => ({
+        tableName: item.tableName,
+        action: item.action,
+        applied: item.applied,
+        changes: Object.keys(item.changes).join(', ')
+      })), ['tableName', 'action', 'applied', 'changes'])
+      this.stdout.write(report.hasDrift ? '存在未同步的差异\n' : '已同步\n')
+    })
+  }
+
+  /**
+   * 获取命令参数中的表
+   * @param  {Array} args 参数 [表名]
+   * @return {Table}      Table实例
+   */
+  __table (args) {
+    let tableName = args[0]
+    if (!tableName) throw new ValidationError('缺少表名')
+    return this.store.tables[tableName] || this.store.defineTable(tableName)
+  }
+
+  /**
+   * 获取命令参数中的表并同步 meta（解析 --row、--pk 时需要主键类型）
+   * @param  {Array} args 参数 [表名]
+   * @return {Promise}    promise，结果为 Table实例
+   */
+  async __syncedTable (args) {
+    let table = this.__table(args)
+    if (!table.isSynced) await table.sync()
+    return table
+  }
+
+  /**
+   * 解析 --row、--pk 选项（值的写法同 jsonl 导入）
+   * @param  {Table}  table Table实例
+   * @param  {String} value 选项值
+   * @param  {String} name  选项名
+   * @return {Object}       数据行
+   */
+  __row (table, value, name) {
+    let obj = this.__json(value, name, true)
+    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) throw new ValidationError(`--${name} 必须为 JSON 对象`)
+    let transfer = new Transfer(table)
+    let row = {}
+    for (let key in obj) {
+      let item = transfer.__fromJsonValue(key, obj[key])
+      if (item !== undefined) row[key] = item
+    }
+    return row
+  }
+
+  /**
+   * 解析 JSON 选项
+   * @param  {String}  value    选项值
+   * @param  {String}  name     选项名
+   * @param  {Boolean} required 是否必填
+   * @return {Object}           解析后的对象
+   */
+  __json (value, name, required) {
+    if (value === undefined) {
+      if (required) throw new ValidationError(`缺少 --${name} 选项`)
+      return undefined
+    }
+    try {
+      return JSON.parse(value)
+    } catch (err) {
+      throw new ValidationError(`--${name} 不是合法的 JSON：${err.message}`)
+    }
+  }
+
+  /**
+   * 解析数字选项
+   * @param  {String} value 选项值
+   * @param  {String} name  选项名
+   * @return {Number}       数字
+   */
+  __number (value, name) {
+    let n = Number(value)
+    if (!Number.isInteger(n) || n <= 0) throw new ValidationError(`--${name} 必须为正整数`)
+    return n
+  }
+
+  /**
+   * 按输出格式输出
+   * @param  {*}        data      JSON 输出的数据
+   * @param  {Function} printText 表格输出函数
+   */
+  __print (data, printText) {
+    if (this.options.json) {
+      this.stdout.write(JSON.stringify(data, jsonReplacer, 2) + '\n')
+    } else {
+      printText()
+    }
+  }
+
+  /**
+   * 以表格输出数据行
+   * @param  {Array} rows    数据行数组
+   * @param  {Array} columns 列名数组（默认为所有行的列名）
+   */
+  __printTable (rows, columns) {
+    if (!columns) {
+      columns = []
+      for (let row of rows) {
+        for (let key in row) if (columns.indexOf(key) < 0) columns.push(key)
+      }
+    }
+    if (!rows.length || !columns.length) return
+
+    let cells = rows.map((row) => columns.map((key) => formatValue(row[key])))
+    let widths = columns.map((key, i) => Math.max(displayWidth(key), ...cells.map((line) => displayWidth(line[i]))))
+    let pad = (str, i) => str + ' '.repeat(widths[i] - displayWidth(str))
+    let lines = [
+      columns.map(pad).join(' | '),
+      widths.map((width) => '-'.repeat(width)).join('-+-')
+    ].concat(cells.map((line) => line.map(pad).join(' | ')))
+    this.stdout.write(lines.map((line) => line.trimEnd()).join('\n') + '\n')
+  }
+
+  /**
+   * 解析命令行参数
+   * @param  {Array}  argv 命令行参数
+   * @return {Object}      { args: 位置参数数组, options: { 选项名（驼峰）: 值 } }
+   */
+  static parseArgs (argv) {
+    let args = []
+    let options = {}
+    for (let i = 0; i < argv.length; i++) {
+      let arg = argv[i]
+      if (arg === '--') {
+        args = args.concat(argv.slice(i + 1))
+        break
+      }
+      if (!arg.startsWith('--')) {
+        args.push(arg)
+        continue
+      }
+      let eq = arg.indexOf('=')
+      let name = camelCase(eq > 0 ? arg.slice(2, eq) : arg.slice(2))
+      if (eq > 0) {
+        options[name] = arg.slice(eq + 1)
+      } else if (BOOLEAN_OPTIONS.indexOf(name) >= 0) {
+        options[name] = true
+      } else {
+        if (i + 1 >= argv.length) throw new ValidationError(`--${arg.slice(2)} 缺少值`)
+        options[name] = argv[++i]
+      }
+    }
+    return { args, options }
+  }
+}
+
+module.exports = Cli
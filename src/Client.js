@@ -1,4 +1,17 @@
 const Store = require('tablestore')
+const RetryPolicy = require('./RetryPolicy')
+const Codec = require('./Codec')
+const MemoryDriver = require('./MemoryDriver')
+const { TableStoreError, ValidationError } = require('./Errors')
+
+/**
+ * 等待一段时间
+ * @param  {Number} ms 毫秒
+ * @return {Promise}   promise
+ */
+function sleep (ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
 
 /**
  * Client 类
@@ -21,8 +34,27 @@ class Client {
       accessKeySecret: '',
       endpoint: '',
       instancename: '',
-      maxRetries: 20
+      maxRetries: 20,
+      // 重试策略（RetryPolicy 实例、自定义策略或 RetryPolicy 选项）
+      retryPolicy: null,
+      // 每次调用的默认截止时间（毫秒，包含重试，0 为不限制）
+      deadline: 0,
+      // 重试回调 ({ command, params, error, kind, attempt, delay }) => {}
+      onRetry: null,
+      // INTEGER 的读取方式：auto（超出安全整数范围时返回 BigInt）、number、bigint、string
+      int64: 'auto',
+      // 驱动（实现了 SDK 命令方法 command(params, callback) 的对象，'memory' 为 MemoryDriver，默认为 tablestore SDK）
+      driver: null
     }, options)
+
+    // 值编解码器
+    this.codec = new Codec({ int64: this.int64 })
+
+    // 重试策略
+    let policy = this.retryPolicy
+    if (!policy || typeof policy.shouldRetry !== 'function') {
+      this.retryPolicy = new RetryPolicy(Object.assign({ maxRetries: this.maxRetries }, policy))
+    }
   }
 
   /**
@@ -34,27 +66,86 @@ class Client {
     this.__init(options)
 
     // client connection
-    this.conn = new Store.Client({
+    this.conn = this.__createDriver()
+
+    return this
+  }
+
+  /**
+   * 创建驱动
+   * @return {Object} 驱动（tablestore SDK Client 或自定义驱动）
+   */
+  __createDriver () {
+    // 内存驱动创建后保留实例，重新连接时数据不会丢失
+    if (this.driver === 'memory') this.driver = new MemoryDriver()
+    if (this.driver) {
+      if (typeof this.driver !== 'object') throw new ValidationError('driver 参数不正确！')
+      return this.driver
+    }
+    // 关闭 SDK 内部的重试，只由 retryPolicy 重试
+    return new Store.Client({
       accessKeyId: this.accessKeyId,
       secretAccessKey: this.accessKeySecret,
       endpoint: this.endpoint,
-      instancename: this.instancename
+      instancename: this.instancename,
+      maxRetries: 0
     })
-
-    return this
   }
 
   /**
-   * 执行请求命令
-   * @param  {String} command 请求命令
-   * @param  {Object} params  请求参数
+   * 执行请求命令（按重试策略自动重试，失败时抛出 TableStoreError 的子类）
+   * @param  {String}   command             请求命令
+   * @param  {Object}   params              请求参数
+   * @param  {Object}   options             选项
+   * @param  {Number}   options.deadline    截止时间（毫秒，包含重试，默认为 this.deadline）
+   * @param  {Function} options.onRetry     重试回调（默认为 this.onRetry）
+   * @return {Promise}                      promise
    */
-  request (command, params, fn) {
-    if (typeof(this.conn[command]) !== 'function') throw new Error('command 参数不正确！')
+  async request (command, params, options = {}) {
+    if (typeof (this.conn[command]) !== 'function') throw new ValidationError('command 参数不正确！')
 
+    let policy = this.retryPolicy
+    let onRetry = options.onRetry || this.onRetry
+    let deadline = options.deadline !== undefined ? options.deadline : this.deadline
+    let expiresAt = deadline > 0 ? Date.now() + deadline : Infinity
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.__send(command, params, expiresAt)
+      } catch (err) {
+        if (!policy.shouldRetry(err, attempt, command)) throw TableStoreError.from(err)
+        let delay = policy.getDelay(attempt, err)
+        // 等待后会超过截止时间则不再重试
+        if (Date.now() + delay >= expiresAt) throw TableStoreError.from(err)
+        if (typeof onRetry === 'function') {
+          let kind = typeof policy.classify === 'function' ? policy.classify(err) : undefined
+          onRetry({ command, params, error: err, kind, attempt: attempt + 1, delay })
+        }
+        await sleep(delay)
+      }
+    }
+  }
+
+  /**
+   * 发送一次请求
+   * @param  {String} command   请求命令
+   * @param  {Object} params    请求参数
+   * @param  {Number} expiresAt 截止时间戳
+   * @return {Promise}          promise
+   */
+  __send (command, params, expiresAt) {
     return new Promise((resolve, reject) => {
+      let timer = null
+      if (expiresAt !== Infinity) {
+        timer = setTimeout(() => {
+          let err = new Error(`${command} 请求超过截止时间`)
+          err.code = 'RequestDeadlineExceeded'
+          reject(err)
+        }, Math.max(0, expiresAt - Date.now()))
+      }
       this.conn[command](params, function (err, data) {
-        if (err) reject(err)
+        clearTimeout(timer)
+        if (err) return reject(err)
         resolve(data)
       })
     })
@@ -62,105 +153,208 @@ class Client {
 
   /**
    * 获取表名列表
+   * @param  {Object} options 选项（同 request）
    */
-  listTable () {
-    return this.request('listTable', {})
+  listTable (options) {
+    return this.request('listTable', {}, options)
   }
 
   /**
    * 查询表描述信息（DescribeTable）
    * @param  {Object} params 参数（参考官网API）
+   * @param  {Object} options 选项（同 request）
    */
-  describeTable (params) {
-    return this.request('describeTable', params)
+  describeTable (params, options) {
+    return this.request('describeTable', params, options)
   }
 
   /**
    * 查询表描述信息（DescribeTable 的别名）
    * @param  {Object} params 参数（参考官网API）
+   * @param  {Object} options 选项（同 request）
    */
-  getTable (params) {
-    return this.describeTable(params)
+  getTable (params, options) {
+    return this.describeTable(params, options)
   }
 
   /**
    * 创建数据表
    * @param  {Object} params 参数（参考官网API）
+   * @param  {Object} options 选项（同 request）
    */
-  createTable (params) {
-    return this.request('createTable', params)
+  createTable (params, options) {
+    return this.request('createTable', params, options)
   }
 
   /**
    * 更新数据表
    * @param  {Object} params 参数（参考官网API）
+   * @param  {Object} options 选项（同 request）
    */
-  updateTable (params) {
-    return this.request('updateTable', params)
+  updateTable (params, options) {
+    return this.request('updateTable', params, options)
   }
 
   /**
    * 删除数据表
    * @param  {Object} params 参数（参考官网API）
+   * @param  {Object} options 选项（同 request）
    */
-  deleteTable (params) {
-    return this.request('deleteTable', params)
+  deleteTable (params, options) {
+    return this.request('deleteTable', params, options)
+  }
+
+  /**
+   * 创建二级索引
+   * @param  {Object} params 参数（参考官网API）
+   * @param  {Object} options 选项（同 request）
+   */
+  createIndex (params, options) {
+    return this.request('createIndex', params, options)
+  }
+
+  /**
+   * 删除二级索引
+   * @param  {Object} params 参数（参考官网API）
+   * @param  {Object} options 选项（同 request）
+   */
+  dropIndex (params, options) {
+    return this.request('dropIndex', params, options)
   }
 
   /**
    * 插入一行数据
    * @param  {Object} params 参数（参考官网API）
+   * @param  {Object} options 选项（同 request）
    */
-  putRow (params) {
-    return this.request('putRow', params)
+  putRow (params, options) {
+    return this.request('putRow', params, options)
   }
 
   /**
    * 读取一行数据
    * @param  {Object} params 参数（参考官网API）
+   * @param  {Object} options 选项（同 request）
    */
-  getRow (params) {
-    return this.request('getRow', params)
+  getRow (params, options) {
+    return this.request('getRow', params, options)
   }
 
   /**
    * 更新一行数据
    * @param  {Object} params 参数（参考官网API）
+   * @param  {Object} options 选项（同 request）
    */
-  updateRow (params) {
-    return this.request('updateRow', params)
+  updateRow (params, options) {
+    return this.request('updateRow', params, options)
   }
 
   /**
    * 删除一行数据
    * @param  {Object} params 参数（参考官网API）
+   * @param  {Object} options 选项（同 request）
    */
-  deleteRow (params) {
-    return this.request('deleteRow', params)
+  deleteRow (params, options) {
+    return this.request('deleteRow', params, options)
   }
 
   /**
    * 批量读
    * @param  {Object} params 参数（参考官网API）
+   * @param  {Object} options 选项（同 request）
    */
-  batchGetRow (params) {
-    return this.request('batchGetRow', params)
+  batchGetRow (params, options) {
+    return this.request('batchGetRow', params, options)
   }
 
   /**
    * 批量写
    * @param  {Object} params 参数（参考官网API）
+   * @param  {Object} options 选项（同 request）
    */
-  batchWriteRow (params) {
-    return this.request('batchWriteRow', params)
+  batchWriteRow (params, options) {
+    return this.request('batchWriteRow', params, options)
   }
 
   /**
    * 范围读
    * @param  {Object} params 参数（参考官网API）
+   * @param  {Object} options 选项（同 request）
+   */
+  getRange (params, options) {
+    return this.request('getRange', params, options)
+  }
+
+  /**
+   * 开启局部事务
+   * @param  {Object} params 参数（参考官网API）
+   * @param  {Object} options 选项（同 request）
+   */
+  startLocalTransaction (params, options) {
+    return this.request('startLocalTransaction', params, options)
+  }
+
+  /**
+   * 提交事务
+   * @param  {Object} params 参数（参考官网API）
+   * @param  {Object} options 选项（同 request）
+   */
+  commitTransaction (params, options) {
+    return this.request('commitTransaction', params, options)
+  }
+
+  /**
+   * 回滚事务
+   * @param  {Object} params 参数（参考官网API）
+   * @param  {Object} options 选项（同 request）
+   */
+  abortTransaction (params, options) {
+    return this.request('abortTransaction', params, options)
+  }
+
+  /**
+   * 获取多元索引列表
+   * @param  {Object} params 参数（参考官网API）
+   * @param  {Object} options 选项（同 request）
+   */
+  listSearchIndex (params, options) {
+    return this.request('listSearchIndex', params, options)
+  }
+
+  /**
+   * 获取多元索引描述信息
+   * @param  {Object} params 参数（参考官网API）
+   * @param  {Object} options 选项（同 request）
+   */
+  describeSearchIndex (params, options) {
+    return this.request('describeSearchIndex', params, options)
+  }
+
+  /**
+   * 创建多元索引
+   * @param  {Object} params 参数（参考官网API）
+   * @param  {Object} options 选项（同 request）
+   */
+  createSearchIndex (params, options) {
+    return this.request('createSearchIndex', params, options)
+  }
+
+  /**
+   * 删除多元索引
+   * @param  {Object} params 参数（参考官网API）
+   * @param  {Object} options 选项（同 request）
+   */
+  deleteSearchIndex (params, options) {
+    return this.request('deleteSearchIndex', params, options)
+  }
+
+  /**
+   * 多元索引查询
+   * @param  {Object} params 参数（参考官网API）
+   * @param  {Object} options 选项（同 request）
    */
-  getRange (params) {
-    return this.request('getRange', params)
+  search (params, options) {
+    return this.request('search', params, options)
   }
 
   /**
@@ -177,11 +371,11 @@ class Client {
  * @type {Object}
  */
 Client.dataTypes = Client.prototype.dataTypes = {
-  String: 'Stirng',
-  Integer: Store.Long,
-  Dobule: Number,
-  Boolean: Boolean,
-  Binary: Buffer
+  String: Codec.DataType.STRING,
+  Integer: Codec.DataType.INTEGER,
+  Double: Codec.DataType.DOUBLE,
+  Boolean: Codec.DataType.BOOLEAN,
+  Binary: Codec.DataType.BINARY
 }
 
 module.exports = Client
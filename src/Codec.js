@@ -0,0 +1,213 @@
+const Store = require('tablestore')
+const { ValidationError } = require('./Errors')
+
+/**
+ * TableStore 整数类型（Int64LE）
+ * @type {Function}
+ */
+const Int64 = Store.Long.fromNumber(0).constructor
+
+/**
+ * 数据类型
+ * @type {Object}
+ */
+const DataType = {
+  INTEGER: 'INTEGER',
+  DOUBLE: 'DOUBLE',
+  BOOLEAN: 'BOOLEAN',
+  STRING: 'STRING',
+  BINARY: 'BINARY'
+}
+
+/**
+ * 整数读取方式
+ * @type {Array}
+ */
+const INT64_MODES = ['auto', 'number', 'bigint', 'string']
+
+/**
+ * 是否支持 BigInt
+ * @type {Boolean}
+ */
+const HAS_BIGINT = typeof BigInt === 'function'
+
+/**
+ * 是否为 BigInt 值
+ * @param  {*}       value 值
+ * @return {Boolean}       是否为 BigInt
+ */
+const isBigInt = (value) => Object.prototype.toString.call(value) === '[object BigInt]'
+
+/**
+ * Codec 类（JS 值与 TableStore 值的相互转换）
+ *
+ *   INTEGER  <=>  Number、BigInt、数字字符串（读取时按 int64 选项返回）
+ *   DOUBLE   <=>  Number
+ *   BOOLEAN  <=>  Boolean
+ *   STRING   <=>  String
+ *   BINARY   <=>  Buffer
+ *
+ * 未声明类型的属性列：BigInt、Long 写入为 INTEGER，Number 写入为 DOUBLE。
+ */
+class Codec {
+  /**
+   * 构造函数
+   * @param  {Object} options         选项
+   * @param  {String} options.int64   INTEGER 的读取方式：auto（默认，超出安全整数范围时返回 BigInt）、number、bigint、string
+   */
+  constructor (options = {}) {
+    this.int64 = options.int64 || 'auto'
+    if (INT64_MODES.indexOf(this.int64) < 0) throw new ValidationError(`不支持的 int64 选项：${this.int64}`)
+    if (!HAS_BIGINT && (this.int64 === 'auto' || this.int64 === 'bigint')) {
+      this.int64 = this.int64 === 'auto' ? 'number' : 'string'
+    }
+  }
+
+  /**
+   * 将主键值转换为 TableStore 值（并校验类型）
+   * @param  {String} name   列名
+   * @param  {*}      value  值
+   * @param  {*}      type   主键类型
+   * @return {*}             TableStore 值
+   */
+  encodePrimaryKey (name, value, type) {
+    if (value === Store.INF_MIN || value === Store.INF_MAX || value === Store.PK_AUTO_INCR) return value
+    type = Codec.normalizeType(type, true)
+    switch (type) {
+      case DataType.INTEGER:
+        return this.__encodeInteger(name, value)
+      case DataType.STRING:
+        if (typeof value !== 'string') throw this.__typeError(name, value, type)
+        return value
+      case DataType.BINARY:
+        if (!(value instanceof Buffer)) throw this.__typeError(name, value, type)
+        return value
+      default:
+        // 未知类型时按值推断
+        return this.encodeColumn(name, value)
+    }
+  }
+
+  /**
+   * 将属性列值转换为 TableStore 值
+   * @param  {String} name   列名
+   * @param  {*}      value  值
+   * @param  {*}      [type] 声明的列类型
+   * @return {*}             TableStore 值
+   */
+  encodeColumn (name, value, type) {
+    type = Codec.normalizeType(type)
+    switch (type) {
+      case DataType.INTEGER:
+        return this.__encodeInteger(name, value)
+      case DataType.DOUBLE:
+        if (typeof value !== 'number') throw this.__typeError(name, value, type)
+        return value
+      case DataType.BOOLEAN:
+        if (typeof value !== 'boolean') throw this.__typeError(name, value, type)
+        return value
+      case DataType.STRING:
+        if (typeof value !== 'string') throw this.__typeError(name, value, type)
+        return value
+      case DataType.BINARY:
+        if (!(value instanceof Buffer)) throw this.__typeError(name, value, type)
+        return value
+    }
+
+    // 未声明类型
+    if (isBigInt(value) || value instanceof Int64) return this.__encodeInteger(name, value)
+    if (['number', 'boolean', 'string'].indexOf(typeof value) >= 0 || value instanceof Buffer) return value
+    throw new ValidationError(`列 ${name} 的值类型不受支持：${Object.prototype.toString.call(value)}`)
+  }
+
+  /**
+   * 将 TableStore 值转换为 JS 值
+   * @param  {*} value TableStore 值
+   * @return {*}       JS 值
+   */
+  decode (value) {
+    if (value instanceof Int64) return this.decodeInteger(value)
+    return value
+  }
+
+  /**
+   * 将 TableStore 整数转换为 JS 值（按 int64 选项）
+   * @param  {Int64LE} value TableStore 整数
+   * @return {*}             Number、BigInt 或 String
+   */
+  decodeInteger (value) {
+    let str = value.toString(10)
+    switch (this.int64) {
+      case 'number':
+        return Number(str)
+      case 'bigint':
+        return BigInt(str)
+      case 'string':
+        return str
+      default: {
+        let num = Number(str)
+        return Number.isSafeInteger(num) ? num : BigInt(str)
+      }
+    }
+  }
+
+  /**
+   * 将 JS 值转换为 TableStore 整数
+   * @param  {String} name  列名
+   * @param  {*}      value 值
+   * @return {Int64LE}      TableStore 整数
+   */
+  __encodeInteger (name, value) {
+    if (value instanceof Int64) return value
+    if (isBigInt(value)) return Store.Long.fromString(value.toString())
+    if (typeof value === 'number') {
+      if (!Number.isSafeInteger(value)) {
+        throw new ValidationError(`列 ${name} 的值 ${value} 不是安全整数，请使用 BigInt 或字符串`, { code: 'InvalidInteger' })
+      }
+      return Store.Long.fromNumber(value)
+    }
+    if (typeof value === 'string' && /^-?\d+$/.test(value)) return Store.Long.fromString(value)
+    throw this.__typeError(name, value, DataType.INTEGER)
+  }
+
+  /**
+   * 创建类型错误
+   * @param  {String} name  列名
+   * @param  {*}      value 值
+   * @param  {String} type  期望类型
+   * @return {ValidationError} 错误对象
+   */
+  __typeError (name, value, type) {
+    let actual = value instanceof Buffer ? 'Buffer' : typeof value
+    return new ValidationError(`列 ${name} 的类型应为 ${type}，实际为 ${actual}`, { code: 'InvalidType' })
+  }
+
+  /**
+   * 规范化类型声明
+   * @param  {*}       type          类型（类型名、构造函数或主键类型枚举值）
+   * @param  {Boolean} isPrimaryKey  是否为主键（主键的 Number 视为 INTEGER）
+   * @return {String}                数据类型（见 Codec.DataType），无法识别时为 null
+   */
+  static normalizeType (type, isPrimaryKey = false) {
+    if (type === undefined || type === null) return null
+    if (typeof type === 'string') {
+      type = type.toUpperCase()
+      return DataType[type] || null
+    }
+    if (typeof type === 'number') {
+      let name = Object.keys(Store.PrimaryKeyType).find((key) => Store.PrimaryKeyType[key] === type)
+      return name ? DataType[name] : null
+    }
+    if (type === Number) return isPrimaryKey ? DataType.INTEGER : DataType.DOUBLE
+    if (type === Store.Long || (HAS_BIGINT && type === BigInt)) return DataType.INTEGER
+    if (type === String) return DataType.STRING
+    if (type === Boolean) return DataType.BOOLEAN
+    if (type === Buffer) return DataType.BINARY
+    return null
+  }
+}
+
+Codec.DataType = DataType
+Codec.isBigInt = isBigInt
+
+module.exports = Codec
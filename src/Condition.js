@@ -0,0 +1,258 @@
+const Store = require('tablestore')
+const { ValidationError } = require('./Errors')
+
+/**
+ * 比较操作符 => ComparatorType
+ * @type {Object}
+ */
+const COMPARATORS = {
+  '$eq': Store.ComparatorType.EQUAL,
+  '$ne': Store.ComparatorType.NOT_EQUAL,
+  '$gt': Store.ComparatorType.GREATER_THAN,
+  '$gte': Store.ComparatorType.GREATER_EQUAL,
+  '$lt': Store.ComparatorType.LESS_THAN,
+  '$lte': Store.ComparatorType.LESS_EQUAL,
+  '==': Store.ComparatorType.EQUAL,
+  '!=': Store.ComparatorType.NOT_EQUAL,
+  '>': Store.ComparatorType.GREATER_THAN,
+  '>=': Store.ComparatorType.GREATER_EQUAL,
+  '<': Store.ComparatorType.LESS_THAN,
+  '<=': Store.ComparatorType.LESS_EQUAL
+}
+
+/**
+ * 列选项修饰符 => SingleColumnCondition 选项名
+ * @type {Object}
+ */
+const MODIFIERS = {
+  '$passIfMissing': 'passIfMissing',
+  '$latestVersionOnly': 'latestVersionOnly'
+}
+
+/**
+ * $exists 使用的比较 [比较类型, 值]（类型不同的比较不成立，列存在时至少有一个成立）
+ *   INTEGER、STRING、BINARY 不小于最小值，DOUBLE 不小于 -Infinity 或不等于 0（NaN），BOOLEAN 为 true 或 false
+ * @type {Array}
+ */
+const EXISTS_COMPARISONS = [
+  [Store.ComparatorType.GREATER_EQUAL, Store.Long.fromString('-9223372036854775808')],
+  [Store.ComparatorType.GREATER_EQUAL, -Infinity],
+  [Store.ComparatorType.NOT_EQUAL, 0],
+  [Store.ComparatorType.EQUAL, true],
+  [Store.ComparatorType.EQUAL, false],
+  [Store.ComparatorType.GREATER_EQUAL, ''],
+  [Store.ComparatorType.GREATER_EQUAL, Buffer.alloc(0)]
+]
+
+/**
+ * Condition 类（条件表达式编译器）
+ *
+ * 将类 Mongo 的条件表达式编译为 ColumnCondition，读过滤（filter）与条件写（where）共用：
+ *   { status: 'active' }                                等于
+ *   { age: { $gte: 18, $lt: 60 } }                      比较（同一列多个操作符为 AND）
+ *   { type: { $in: ['a', 'b'] } }                       属于
+ *   { deletedAt: { $exists: false } }                   列是否存在
+ *   { $or: [{ a: 1 }, { b: { $ne: 2 } }] }              $and / $or / $not 可任意嵌套
+ *   { age: { $gt: 18, $passIfMissing: false } }         列选项（passIfMissing、latestVersionOnly）
+ *   { age: ['>', 18, { passIfMissing: false }] }        数组简写
+ *
+ * 传入 encode 时，条件值会先经过 encode(name, value) 转换（如按声明的列类型编码整数）。
+ */
+class Condition {
+  /**
+   * 将条件表达式编译为 ColumnCondition
+   * @param  {Object}   where     条件表达式
+   * @param  {Function} [encode]  条件值编码函数 (name, value) => value
+   * @return {ColumnCondition}    ColumnCondition（无条件时为 null）
+   */
+  static parse (where, encode) {
+    if (!where) return null
+    if (where instanceof Store.ColumnCondition) return where
+    if (typeof where !== 'object' || where instanceof Array) {
+      throw new ValidationError(`条件表达式必须为对象：${Condition.stringify(where)}`)
+    }
+
+    let conditions = []
+    for (let key in where) {
+      let value = where[key]
+      switch (key) {
+        case '$and':
+        case '$or':
+          if (!(value instanceof Array) || !value.length) throw new ValidationError(`${key} 的值必须为非空数组`)
+          conditions.push(Condition.combine(
+            key === '$and' ? Store.LogicalOperator.AND : Store.LogicalOperator.OR,
+            value.map((item) => Condition.__parseRequired(item, key, encode))
+          ))
+          break
+        case '$not':
+          conditions.push(Condition.negate(Condition.__parseRequired(value, key, encode)))
+          break
+        default:
+          if (key[0] === '$') throw new ValidationError(`不支持的逻辑操作符：${key}`)
+          conditions.push(Condition.parseColumn(key, value, encode))
+      }
+    }
+
+    return Condition.combine(Store.LogicalOperator.AND, conditions)
+  }
+
+  /**
+   * 编译单列条件
+   * @param  {String} name    列名
+   * @param  {*}        value     条件值（值、操作符对象或数组简写）
+   * @param  {Function} [encode]  条件值编码函数
+   * @return {ColumnCondition}    ColumnCondition
+   */
+  static parseColumn (name, value, encode) {
+    // 数组简写 [op, value, options]
+    if (value instanceof Array) {
+      let options = value[2] || {}
+      return Condition.single(name, value[1], Condition.parseComparatorType(value[0]), options, encode)
+    }
+
+    // 值
+    if (!Condition.isOperatorObject(value)) {
+      if (Condition.isPlainObject(value)) {
+        throw new ValidationError(`列 ${name} 的条件值不能为普通对象：${Condition.stringify(value)}`)
+      }
+      return Condition.single(name, value, Store.ComparatorType.EQUAL, {}, encode)
+    }
+
+    // 操作符对象
+    let options = {}
+    for (let op in MODIFIERS) {
+      if (value.hasOwnProperty(op)) options[MODIFIERS[op]] = value[op]
+    }
+
+    let conditions = []
+    for (let op in value) {
+      if (MODIFIERS[op]) continue
+      let operand = value[op]
+      switch (op) {
+        case '$in':
+          if (!(operand instanceof Array) || !operand.length) throw new ValidationError(`列 ${name} 的 $in 值必须为非空数组`)
+          conditions.push(Condition.combine(
+            Store.LogicalOperator.OR,
+            operand.map((item) => Condition.single(name, item, Store.ComparatorType.EQUAL, options, encode))
+          ))
+          break
+        case '$exists': {
+          // 列不存在时所有比较都不成立（passIfMissing 为 false），比较值不编码
+          let exists = Condition.combine(Store.LogicalOperator.OR, EXISTS_COMPARISONS.map(([comparator, probe]) => {
+            return Condition.single(name, probe, comparator, { passIfMissing: false, latestVersionOnly: options.latestVersionOnly })
+          }))
+          conditions.push(operand ? exists : Condition.negate(exists))
+          break
+        }
+        case '$not':
+          conditions.push(Condition.negate(Condition.parseColumn(name, operand, encode)))
+          break
+        default:
+          conditions.push(Condition.single(name, operand, Condition.parseComparatorType(op), options, encode))
+      }
+    }
+
+    if (!conditions.length) throw new ValidationError(`列 ${name} 缺少条件操作符`)
+    return Condition.combine(Store.LogicalOperator.AND, conditions)
+  }
+
+  /**
+   * 创建单列条件
+   * @param  {String}         name        列名
+   * @param  {*}              value       条件值
+   * @param  {ComparatorType} comparator  比较类型
+   * @param  {Object}         [options]   列选项 { passIfMissing, latestVersionOnly }
+   * @param  {Function}       [encode]    条件值编码函数
+   * @return {SingleColumnCondition}      SingleColumnCondition
+   */
+  static single (name, value, comparator, options = {}, encode) {
+    if (value === undefined || value === null) throw new ValidationError(`列 ${name} 的条件值不能为空`)
+    if (encode) value = encode(name, value)
+    return new Store.SingleColumnCondition(name, value, comparator, options.passIfMissing, options.latestVersionOnly)
+  }
+
+  /**
+   * 取反条件
+   * @param  {ColumnCondition} condition 条件
+   * @return {CompositeCondition}        NOT 条件
+   */
+  static negate (condition) {
+    let composite = new Store.CompositeCondition(Store.LogicalOperator.NOT)
+    composite.addSubCondition(condition)
+    return composite
+  }
+
+  /**
+   * 组合多个条件（只有一个时直接返回）
+   * @param  {LogicalOperator} operator    逻辑操作符
+   * @param  {Array}           conditions  条件数组
+   * @return {ColumnCondition}             ColumnCondition
+   */
+  static combine (operator, conditions) {
+    if (!conditions.length) return null
+    if (conditions.length === 1) return conditions[0]
+    let condition = new Store.CompositeCondition(operator)
+    conditions.forEach((item) => condition.addSubCondition(item))
+    return condition
+  }
+
+  /**
+   * 将比较操作符转换为 ComparatorType
+   * @param  {String}   op      比较操作符（$gt 或 > 形式）
+   * @return {ComparatorType}   ComparatorType
+   */
+  static parseComparatorType (op = '') {
+    let comparator = COMPARATORS[String(op).trim()]
+    if (comparator === undefined) throw new ValidationError(`不支持的比较操作符：${op}`)
+    return comparator
+  }
+
+  /**
+   * 是否为操作符对象（所有键都以 $ 开头）
+   * @param  {*}       value 值
+   * @return {Boolean}       是否为操作符对象
+   */
+  static isOperatorObject (value) {
+    if (!Condition.isPlainObject(value)) return false
+    let keys = Object.keys(value)
+    return keys.length > 0 && keys.every((key) => key[0] === '$')
+  }
+
+  /**
+   * 是否为普通对象
+   * @param  {*}       value 值
+   * @return {Boolean}       是否为普通对象
+   */
+  static isPlainObject (value) {
+    return Object.prototype.toString.call(value) === '[object Object]' &&
+      (Object.getPrototypeOf(value) === Object.prototype || Object.getPrototypeOf(value) === null)
+  }
+
+  /**
+   * 将值转换为用于错误信息的字符串
+   * @param  {*}      value 值
+   * @return {String}       字符串
+   */
+  static stringify (value) {
+    try {
+      return JSON.stringify(value)
+    } catch (err) {
+      return String(value)
+    }
+  }
+
+  /**
+   * 编译子表达式（不能为空）
+   * @param  {Object} where  条件表达式
+   * @param  {String}   op        所属逻辑操作符
+   * @param  {Function} [encode]  条件值编码函数
+   * @return {ColumnCondition}    ColumnCondition
+   */
+  static __parseRequired (where, op, encode) {
+    let condition = Condition.parse(where, encode)
+    if (!condition) throw new ValidationError(`${op} 的子条件不能为空`)
+    return condition
+  }
+}
+
+module.exports = Condition
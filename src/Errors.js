@@ -0,0 +1,139 @@
+const RetryPolicy = require('./RetryPolicy')
+
+/**
+ * TableStoreError 类（所有错误的基类）
+ */
+class TableStoreError extends Error {
+  /**
+   * 构造函数
+   * @param  {String} message            错误信息
+   * @param  {Object} options            选项
+   * @param  {String} options.code       TableStore 错误码
+   * @param  {String} options.requestId  请求 id
+   * @param  {Error}  options.cause      原始错误
+   */
+  constructor (message, options = {}) {
+    super(message)
+    this.name = this.constructor.name
+    this.code = options.code
+    this.requestId = options.requestId
+    this.cause = options.cause
+  }
+
+  /**
+   * 将 TableStore SDK 错误（或带 code 的行级错误）转换为对应的错误类
+   * @param  {Error|Object} err 错误对象
+   * @return {TableStoreError}  错误对象
+   */
+  static from (err) {
+    if (err instanceof TableStoreError) return err
+    err = err || {}
+
+    let code = err.code
+    let headers = err.headers || {}
+    let options = {
+      code: code,
+      requestId: err.requestId || headers['x-ots-requestid'],
+      cause: err instanceof Error ? err : undefined
+    }
+    let message = err.message || String(code || '未知错误')
+
+    switch (code) {
+      case 'OTSConditionCheckFail':
+        return new ConditionCheckFailedError(message, options)
+      case 'OTSObjectNotExist':
+        return new TableNotFoundError(message, options)
+      case 'OTSParameterInvalid':
+      case 'BadRequest':
+      case 400:
+        return new ValidationError(message, options)
+    }
+
+    switch (RetryPolicy.classify(err)) {
+      case RetryPolicy.ErrorKind.THROTTLING:
+        return new ThrottledError(message, options)
+      case RetryPolicy.ErrorKind.SERVER_BUSY:
+        return new ServerBusyError(message, options)
+      case RetryPolicy.ErrorKind.TIMEOUT:
+        return new TimeoutError(message, options)
+    }
+
+    if (code === 'RequestDeadlineExceeded') return new TimeoutError(message, options)
+    return new TableStoreError(message, options)
+  }
+}
+
+/**
+ * 参数或数据校验失败
+ */
+class ValidationError extends TableStoreError {
+  /**
+   * 构造函数
+   * @param  {String} message          错误信息
+   * @param  {Object} options          选项（同 TableStoreError）
+   * @param  {Object} options.errors   各属性的错误信息 { 属性名: [错误信息] }
+   */
+  constructor (message, options = {}) {
+    super(message, options)
+    this.errors = options.errors || {}
+  }
+}
+
+/**
+ * 行存在性或列条件检查失败
+ */
+class ConditionCheckFailedError extends TableStoreError {}
+
+/**
+ * 乐观锁检查失败（数据行已被其他人修改）
+ */
+class StaleObjectError extends ConditionCheckFailedError {}
+
+/**
+ * 数据行不存在
+ */
+class RowNotFoundError extends TableStoreError {}
+
+/**
+ * 数据表不存在
+ */
+class TableNotFoundError extends TableStoreError {}
+
+/**
+ * 请求被流控
+ */
+class ThrottledError extends TableStoreError {}
+
+/**
+ * 服务端繁忙或暂时不可用
+ */
+class ServerBusyError extends TableStoreError {}
+
+/**
+ * 请求超时
+ */
+class TimeoutError extends TableStoreError {}
+
+/**
+ * 操作被取消
+ */
+class AbortError extends TableStoreError {}
+
+/**
+ * 迁移锁已被其他进程持有
+ */
+class MigrationLockedError extends TableStoreError {}
+
+module.exports = {
+  TableStoreError,
+  ValidationError,
+  ConditionCheckFailedError,
+  StaleObjectError,
+  RowNotFoundError,
+  TableNotFoundError,
+  ThrottledError,
+  ServerBusyError,
+  TimeoutError,
+  AbortError,
+  MigrationLockedError
+}
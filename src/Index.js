@@ -0,0 +1,209 @@
+const Table = require('./Table')
+const Codec = require('./Codec')
+const { ValidationError, RowNotFoundError } = require('./Errors')
+
+/**
+ * 索引表支持的主键类型
+ * @type {Array}
+ */
+const PRIMARY_KEY_TYPES = [
+  Codec.DataType.INTEGER,
+  Codec.DataType.STRING,
+  Codec.DataType.BINARY
+]
+
+/**
+ * Index 类（全局二级索引，只读）
+ *
+ * 索引表的主键为声明的索引列加上未包含的主表主键列，读取方式与 Table 相同：
+ *   table.index('byEmail').query().where({ email }).exec()
+ *   table.index('byEmail').select({ where: { email }, fetch: true })   // 回主表读取完整数据行
+ */
+class Index extends Table {
+  /**
+   * 构造函数
+   * @param  {Table}  baseTable               主表
+   * @param  {Object} definition              索引定义
+   * @param  {String} definition.name         索引名
+   * @param  {Array}  definition.primaryKeys  索引主键列名
+   * @param  {Array}  definition.definedColumns  索引属性列名
+   */
+  constructor (baseTable, definition) {
+    super(definition.name, { columns: baseTable.columns })
+    this.baseTable = baseTable
+    this.definition = Index.normalizeDefinition(definition)
+    this.setStore(baseTable.__store)
+    // 索引表结构由主表主键与索引定义决定，主表主键未知时在 sync 中计算
+    if (baseTable.primaryKeys.length) this.primaryKeys = this.__resolvePrimaryKeys()
+    this.isSynced = baseTable.isSynced
+  }
+
+  /**
+   * 同步 meta 数据（同步主表后重新计算索引主键）
+   */
+  async sync (force = false) {
+    if (this.isSynced && !force) return this
+    await this.baseTable.sync(force)
+    this.primaryKeys = this.__resolvePrimaryKeys()
+    this.isSynced = true
+    return this
+  }
+
+  /**
+   * 在主表上创建索引
+   * @return {Promise} promise
+   */
+  async create () {
+    await this.__store.createIndex({
+      mainTableName: this.baseTable.tableName,
+      indexMeta: this.toIndexMeta()
+    })
+    return this
+  }
+
+  /**
+   * 删除索引
+   * @return {Promise} promise
+   */
+  async drop () {
+    await this.__store.dropIndex({
+      mainTableName: this.baseTable.tableName,
+      indexName: this.tableName
+    })
+    return this
+  }
+
+  /**
+   * 根据索引主键读取一行（索引表不支持 GetRow，使用单行范围读）
+   * @param  {Object} row     带索引主键的行
+   * @param  {Object} options 选项（同 Table.get）
+   * @return {Promise}        promise
+   */
+  async get (row, options) {
+    if (!row) throw new ValidationError('参数无效')
+    if (!this.isSynced) await this.sync()
+    options = options || {}
+
+    // 从该主键开始读取一行，读到的不是该主键时说明数据行不存在（或被过滤）
+    let params = this.__buildGetRangeParams(Object.assign({}, options, { startRow: row, endRow: {}, direction: 'forward', limit: 1 }))
+    let data = await this.__store.getRange(params)
+    let found = (data.rows || [])[0]
+    let result = found ? this.__parseDataToRow(found, this.__isVersionedRead(options)) : null
+    if (result && !this.primaryKeys.every((item) => this.__isSameValue(result[item.name], row[item.name]))) result = null
+    if (!result && options.rejectOnEmpty) throw new RowNotFoundError(`索引 ${this.tableName} 中不存在该数据行`)
+    return result
+  }
+
+  /**
+   * 分页读取（同 Table.select）
+   * @param  {Object}  options        查询选项（同 Table.select）
+   * @param  {Boolean} options.fetch  是否回主表读取完整数据行
+   * @return {Promise}                promise，结果为 { rows, nextToken }
+   */
+  async select (options) {
+    let page = await super.select(options)
+    if (options && options.fetch) page.rows = await this.fetchRows(page.rows)
+    return page
+  }
+
+  /**
+   * 范围读取（同 Table.getRange）
+   * @param  {Object}  options        选项（同 Table.getRange）
+   * @param  {Boolean} options.fetch  是否回主表读取完整数据行
+   * @return {Promise}                promise
+   */
+  async getRange (options) {
+    let rows = await super.getRange(options)
+    if (options && options.fetch) rows = await this.fetchRows(rows)
+    return rows
+  }
+
+  /**
+   * 回主表读取完整数据行（按索引行的顺序，主表中已不存在的行不返回）
+   * @param  {Array}  rows     索引数据行
+   * @param  {Object} options  选项（同 Table.batchGet）
+   * @return {Promise}         promise，结果为主表数据行数组
+   */
+  async fetchRows (rows, options) {
+    if (!rows.length) return []
+    let keys = rows.map((row) => {
+      let key = {}
+      this.baseTable.primaryKeys.forEach((item) => { key[item.name] = row[item.name] })
+      return key
+    })
+    let result = await this.baseTable.batchGet(keys, options)
+    if (result.failed.length) throw result.failed[0].error
+    return result.rows
+  }
+
+  /**
+   * 转换为 createIndex、createTable 使用的 indexMeta
+   * @return {Object} indexMeta { name, primaryKey, definedColumn }
+   */
+  toIndexMeta () {
+    return {
+      name: this.tableName,
+      primaryKey: this.definition.primaryKeys,
+      definedColumn: this.definition.definedColumns
+    }
+  }
+
+  /**
+   * 主键值是否相同
+   * @param  {*}       actual   读到的值
+   * @param  {*}       expected 查询的值
+   * @return {Boolean}          是否相同
+   */
+  __isSameValue (actual, expected) {
+    if (actual instanceof Buffer || expected instanceof Buffer) {
+      return actual instanceof Buffer && expected instanceof Buffer && actual.equals(expected)
+    }
+    return String(actual) === String(expected)
+  }
+
+  /**
+   * 计算索引表主键（声明的索引列 + 未包含的主表主键列）
+   * @return {Array} 主键定义 [{ name, type }]
+   */
+  __resolvePrimaryKeys () {
+    let basePrimaryKeys = this.baseTable.primaryKeys
+    let primaryKeys = this.definition.primaryKeys.map((name) => {
+      let pk = basePrimaryKeys.find((item) => item.name === name)
+      let type = pk ? Codec.normalizeType(pk.type, true) : Codec.normalizeType(this.baseTable.columns[name])
+      if (PRIMARY_KEY_TYPES.indexOf(type) < 0) {
+        throw new ValidationError(`索引 ${this.tableName} 的主键列 ${name} 未声明类型或类型不能作为主键`)
+      }
+      return { name, type }
+    })
+    basePrimaryKeys.forEach((item) => {
+      if (this.definition.primaryKeys.indexOf(item.name) >= 0) return
+      primaryKeys.push({ name: item.name, type: Codec.normalizeType(item.type, true) })
+    })
+    return primaryKeys
+  }
+
+  /**
+   * 规范化索引定义
+   * @param  {Object} definition 索引定义
+   * @return {Object}            { name, primaryKeys, definedColumns }
+   */
+  static normalizeDefinition (definition) {
+    if (!definition || !definition.name) throw new ValidationError('索引未指定 name！')
+    let primaryKeys = [].concat(definition.primaryKeys || [])
+    if (!primaryKeys.length) throw new ValidationError(`索引 ${definition.name} 未定义主键！`)
+    return {
+      name: definition.name,
+      primaryKeys: primaryKeys,
+      definedColumns: [].concat(definition.definedColumns || [])
+    }
+  }
+}
+
+// 索引表只读
+;['put', 'insert', 'update', 'delete', 'batchWrite', 'alter'].forEach((method) => {
+  Index.prototype[method] = function () {
+    return Promise.reject(new ValidationError(`索引 ${this.tableName} 不支持 ${method} 操作`))
+  }
+})
+
+module.exports = Index
@@ -0,0 +1,912 @@
+const Store = require('tablestore')
+
+/**
+ * TableStore 整数类型（Int64LE）
+ * @type {Function}
+ */
+const Int64 = Store.Long.fromNumber(0).constructor
+
+/**
+ * 单次 getRange 返回的最大行数（与服务端一致）
+ * @type {Number}
+ */
+const MAX_RANGE_ROWS = 5000
+
+/**
+ * 自增主键起始值
+ * @type {Number}
+ */
+const AUTO_INCREMENT_START = 1
+
+/**
+ * 创建与 SDK 一致的错误对象（带 code）
+ * @param  {String} code     错误码
+ * @param  {String} message  错误信息
+ * @return {Error}           错误对象
+ */
+function otsError (code, message) {
+  let err = new Error(message)
+  err.code = code
+  return err
+}
+
+/**
+ * 将 SDK 值转换为内部单元格 { type, value }（INTEGER 的 value 为 BigInt）
+ * @param  {*}      value SDK 值
+ * @param  {String} name  列名（用于错误信息）
+ * @return {Object}       单元格
+ */
+function toCell (value, name) {
+  if (value instanceof Int64) return { type: 'INTEGER', value: BigInt(value.toString()) }
+  if (value instanceof Buffer) return { type: 'BINARY', value: Buffer.from(value) }
+  switch (typeof value) {
+    case 'number':
+      return { type: 'DOUBLE', value }
+    case 'boolean':
+      return { type: 'BOOLEAN', value }
+    case 'string':
+      return { type: 'STRING', value }
+  }
+  throw otsError('OTSParameterInvalid', `Unsupported value type of column ${name}: ${Object.prototype.toString.call(value)}`)
+}
+
+/**
+ * 将内部单元格转换为 SDK 值
+ * @param  {Object} cell 单元格
+ * @return {*}           SDK 值
+ */
+function fromCell (cell) {
+  if (cell.type === 'INTEGER') return Store.Long.fromString(cell.value.toString())
+  if (cell.type === 'BINARY') return Buffer.from(cell.value)
+  return cell.value
+}
+
+/**
+ * 比较两个单元格（类型不同时返回 null，任一值为 NaN 时返回 NaN）
+ * @param  {Object} a 单元格
+ * @param  {Object} b 单元格
+ * @return {Number}   -1、0、1、NaN 或 null
+ */
+function compareCells (a, b) {
+  if (a.type !== b.type) return null
+  switch (a.type) {
+    case 'DOUBLE':
+      if (Number.isNaN(a.value) || Number.isNaN(b.value)) return NaN
+      return a.value < b.value ? -1 : (a.value > b.value ? 1 : 0)
+    case 'STRING':
+      return Buffer.compare(Buffer.from(a.value), Buffer.from(b.value))
+    case 'BINARY':
+      return Buffer.compare(a.value, b.value)
+    default:
+      return a.value < b.value ? -1 : (a.value > b.value ? 1 : 0)
+  }
+}
+
+/**
+ * 比较主键（bound 中可以包含 INF_MIN、INF_MAX）
+ * @param  {Array} pk     主键单元格数组
+ * @param  {Array} bound  主键单元格数组
+ * @return {Number}       -1、0、1
+ */
+function comparePrimaryKeys (pk, bound) {
+  for (let i = 0; i < bound.length; i++) {
+    if (bound[i].type === 'INF_MIN') return 1
+    if (bound[i].type === 'INF_MAX') return -1
+    let result = compareCells(pk[i], bound[i])
+    if (result) return result
+  }
+  return 0
+}
+
+/**
+ * 将时间戳（Number、Int64）转换为毫秒数
+ * @param  {*}      ts 时间戳
+ * @return {Number}    毫秒数
+ */
+function toTimestamp (ts) {
+  return ts instanceof Int64 ? Number(ts.toString()) : Number(ts)
+}
+
+/**
+ * MemoryDriver 类（内存中的 TableStore，用于单元测试与本地开发）
+ *
+ * 实现了与 tablestore SDK Client 相同的命令方法 command(params, callback)，可作为 Client 的 driver：
+ *   const store = new TableStore({ driver: 'memory' })
+ *   const store = new TableStore({ driver: new MemoryDriver({ rangeLimit: 10 }) })
+ *
+ * 支持表管理、二级索引（只读）、单行与批量读写、范围读分页、行存在性与列条件检查、多版本和局部事务（回滚时恢复数据，不做隔离）。
+ * 不支持多元索引、TTL 过期和预留吞吐量限制。
+ */
+class MemoryDriver {
+  /**
+   * 构造函数
+   * @param  {Object} options             选项
+   * @param  {Number} options.rangeLimit  单次 getRange 返回的最大行数（调小可以测试分页）
+   */
+  constructor (options = {}) {
+    this.rangeLimit = options.rangeLimit || MAX_RANGE_ROWS
+    // 数据表 { 表名: { meta, rows: Map, autoIncrement } }
+    this.tables = {}
+    // 二级索引 { 索引名: 主表名 }
+    this.indexes = {}
+    // 局部事务 { 事务 ID: { tableName, partition, snapshot } }
+    this.transactions = {}
+    this.__transactionSeq = 0
+  }
+
+  /**
+   * 清空所有数据表
+   * @return {MemoryDriver} MemoryDriver实例
+   */
+  reset () {
+    this.tables = {}
+    this.indexes = {}
+    this.transactions = {}
+    return this
+  }
+
+  // ================ 表管理 ================
+
+  /**
+   * 获取表名列表
+   * @param  {Object}   params   参数（同 SDK）
+   * @param  {Function} callback 回调 (err, data)
+   */
+  listTable (params, callback) {
+    this.__exec(callback, () => ({ table_names: Object.keys(this.tables) }))
+  }
+
+  /**
+   * 创建数据表
+   * @param  {Object}   params   参数（同 SDK）
+   * @param  {Function} callback 回调 (err, data)
+   */
+  createTable (params, callback) {
+    this.__exec(callback, () => {
+      let tableMeta = params.tableMeta || {}
+      let name = tableMeta.tableName
+      if (this.tables[name]) throw otsError('OTSObjectAlreadyExist', 'Requested table already exists.')
+      if (!tableMeta.primaryKey || !tableMeta.primaryKey.length) throw otsError('OTSParameterInvalid', 'The number of primary key columns must be in range: [1, 4].')
+      let primaryKey = tableMeta.primaryKey.map((item) => ({
+        name: item.name,
+        type: this.__parsePrimaryKeyType(item.type),
+        autoIncrement: item.option === 'AUTO_INCREMENT' || item.option === 1
+      }))
+      this.tables[name] = {
+        meta: {
+          tableName: name,
+          primaryKey,
+          definedColumn: (tableMeta.definedColumn || []).map((item) => ({ name: item.name, type: item.type })),
+          timeToLive: (params.tableOptions || {}).timeToLive || -1,
+          maxVersions: (params.tableOptions || {}).maxVersions || 1,
+          capacityUnit: Object.assign({ read: 0, write: 0 }, (params.reservedThroughput || {}).capacityUnit),
+          stream: params.streamSpecification || null,
+          indexMetas: []
+        },
+        rows: new Map(),
+        autoIncrement: AUTO_INCREMENT_START
+      }
+      for (let indexMeta of params.indexMetas || []) this.__addIndex(name, indexMeta)
+      return {}
+    })
+  }
+
+  /**
+   * 查询表描述信息
+   * @param  {Object}   params   参数（同 SDK）
+   * @param  {Function} callback 回调 (err, data)
+   */
+  describeTable (params, callback) {
+    this.__exec(callback, () => {
+      let meta = this.__getTable(params.tableName).meta
+      return {
+        table_meta: {
+          table_name: meta.tableName,
+          primary_key: meta.primaryKey.map((item) => {
+            let pk = { name: item.name, type: Store.PrimaryKeyType[item.type] }
+            if (item.autoIncrement) pk.option = 1
+            return pk
+          }),
+          defined_column: meta.definedColumn.map((item) => Object.assign({}, item))
+        },
+        reserved_throughput_details: {
+          capacity_unit: Object.assign({}, meta.capacityUnit)
+        },
+        table_options: {
+          time_to_live: meta.timeToLive,
+          max_versions: meta.maxVersions
+        },
+        stream_details: { enable_stream: !!(meta.stream && meta.stream.enableStream) },
+        index_metas: meta.indexMetas.map((item) => ({
+          name: item.name,
+          primary_key: item.primaryKey.slice(),
+          defined_column: item.definedColumn.slice(),
+          index_update_mode: 0,
+          index_type: 0
+        }))
+      }
+    })
+  }
+
+  /**
+   * 更新数据表（TTL、最大版本数、预留读写吞吐量）
+   * @param  {Object}   params   参数（同 SDK）
+   * @param  {Function} callback 回调 (err, data)
+   */
+  updateTable (params, callback) {
+    this.__exec(callback, () => {
+      let meta = this.__getTable(params.tableName).meta
+      let tableOptions = params.tableOptions || {}
+      if (tableOptions.timeToLive !== undefined) meta.timeToLive = tableOptions.timeToLive
+      if (tableOptions.maxVersions !== undefined) meta.maxVersions = tableOptions.maxVersions
+      if (params.reservedThroughput) Object.assign(meta.capacityUnit, params.reservedThroughput.capacityUnit)
+      return {}
+    })
+  }
+
+  /**
+   * 删除数据表
+   * @param  {Object}   params   参数（同 SDK）
+   * @param  {Function} callback 回调 (err, data)
+   */
+  deleteTable (params, callback) {
+    this.__exec(callback, () => {
+      let table = this.__getTable(params.tableName)
+      table.meta.indexMetas.forEach((item) => delete this.indexes[item.name])
+      delete this.tables[params.tableName]
+      return {}
+    })
+  }
+
+  /**
+   * 创建二级索引
+   * @param  {Object}   params   参数（同 SDK）
+   * @param  {Function} callback 回调 (err, data)
+   */
+  createIndex (params, callback) {
+    this.__exec(callback, () => {
+      this.__getTable(params.mainTableName)
+      this.__addIndex(params.mainTableName, params.indexMeta)
+      return {}
+    })
+  }
+
+  /**
+   * 删除二级索引
+   * @param  {Object}   params   参数（同 SDK）
+   * @param  {Function} callback 回调 (err, data)
+   */
+  dropIndex (params, callback) {
+    this.__exec(callback, () => {
+      let meta = this.__getTable(params.mainTableName).meta
+      if (this.indexes[params.indexName] !== params.mainTableName) throw otsError('OTSObjectNotExist', 'Requested index does not exist.')
+      meta.indexMetas = meta.indexMetas.filter((item) => item.name !== params.indexName)
+      delete this.indexes[params.indexName]
+      return {}
+    })
+  }
+
+  // ================ 单行读写 ================
+
+  /**
+   * 读取一行数据
+   * @param  {Object}   params   参数（同 SDK）
+   * @param  {Function} callback 回调 (err, data)
+   */
+  getRow (params, callback) {
+    this.__exec(callback, () => {
+      let table = this.__getReadable(params.tableName)
+      let pk = this.__parsePrimaryKey(table.meta, params.primaryKey)
+      let row = table.rows.get(this.__rowKey(pk))
+      return { consumed: this.__consumed(1, 0), row: this.__readRow(table.meta, row, params) || {} }
+    })
+  }
+
+  /**
+   * 写入一行数据
+   * @param  {Object}   params   参数（同 SDK）
+   * @param  {Function} callback 回调 (err, data)
+   */
+  putRow (params, callback) {
+    this.__exec(callback, () => this.__writeRow(params.tableName, Object.assign({ type: 'PUT' }, params)))
+  }
+
+  /**
+   * 更新一行数据
+   * @param  {Object}   params   参数（同 SDK）
+   * @param  {Function} callback 回调 (err, data)
+   */
+  updateRow (params, callback) {
+    this.__exec(callback, () => this.__writeRow(params.tableName, Object.assign({ type: 'UPDATE' }, params, {
+      attributeColumns: params.updateOfAttributeColumns || params.attributeColumns
+    })))
+  }
+
+  /**
+   * 删除一行数据
+   * @param  {Object}   params   参数（同 SDK）
+   * @param  {Function} callback 回调 (err, data)
+   */
+  deleteRow (params, callback) {
+    this.__exec(callback, () => this.__writeRow(params.tableName, Object.assign({ type: 'DELETE' }, params)))
+  }
+
+  // ================ 批量读写 ================
+
+  /**
+   * 批量读
+   * @param  {Object}   params   参数（同 SDK）
+   * @param  {Function} callback 回调 (err, data)
+   */
+  batchGetRow (params, callback) {
+    this.__exec(callback, () => ({
+      tables: (params.tables || []).map((item) => item.primaryKey.map((primaryKey) => {
+        try {
+          let table = this.__getReadable(item.tableName)
+          let pk = this.__parsePrimaryKey(table.meta, primaryKey)
+          let row = this.__readRow(table.meta, table.rows.get(this.__rowKey(pk)), item)
+          return this.__batchResult(item.tableName, row)
+        } catch (err) {
+          return this.__batchError(item.tableName, err)
+        }
+      }))
+    }))
+  }
+
+  /**
+   * 批量写
+   * @param  {Object}   params   参数（同 SDK）
+   * @param  {Function} callback 回调 (err, data)
+   */
+  batchWriteRow (params, callback) {
+    this.__exec(callback, () => {
+      let results = []
+      for (let item of params.tables || []) {
+        for (let row of item.rows || []) {
+          try {
+            let data = this.__writeRow(item.tableName, Object.assign({}, row, { transactionId: params.transactionId }))
+            results.push(this.__batchResult(item.tableName, Object.keys(data.row).length ? data.row : null))
+          } catch (err) {
+            results.push(this.__batchError(item.tableName, err))
+          }
+        }
+      }
+      return { tables: results }
+    })
+  }
+
+  // ================ 范围读 ================
+
+  /**
+   * 范围读（超过 rangeLimit 时返回 next_start_primary_key）
+   * @param  {Object}   params   参数（同 SDK）
+   * @param  {Function} callback 回调 (err, data)
+   */
+  getRange (params, callback) {
+    this.__exec(callback, () => {
+      let table = this.__getReadable(params.tableName)
+      let start = this.__parsePrimaryKey(table.meta, params.inclusiveStartPrimaryKey, true)
+      let end = this.__parsePrimaryKey(table.meta, params.exclusiveEndPrimaryKey, true)
+      let backward = params.direction === Store.Direction.BACKWARD
+      let limit = Math.min(params.limit || MAX_RANGE_ROWS, this.rangeLimit)
+
+      let rows = Array.from(table.rows.values())
+        .filter((row) => backward
+          ? comparePrimaryKeys(row.pk, start) <= 0 && comparePrimaryKeys(row.pk, end) > 0
+          : comparePrimaryKeys(row.pk, start) >= 0 && comparePrimaryKeys(row.pk, end) < 0)
+        .sort((a, b) => comparePrimaryKeys(a.pk, b.pk) * (backward ? -1 : 1))
+
+      let result = []
+      let next = null
+      for (let i = 0; i < rows.length; i++) {
+        if (result.length >= limit) {
+          next = this.__formatPrimaryKey(table.meta, rows[i].pk)
+          break
+        }
+        let row = this.__readRow(table.meta, rows[i], params)
+        if (row) result.push(row)
+      }
+      return { consumed: this.__consumed(result.length, 0), rows: result, next_start_primary_key: next }
+    })
+  }
+
+  // ================ 局部事务 ================
+
+  /**
+   * 开启局部事务（记录分区数据）
+   * @param  {Object}   params   参数（同 SDK）
+   * @param  {Function} callback 回调 (err, data)
+   */
+  startLocalTransaction (params, callback) {
+    this.__exec(callback, () => {
+      let table = this.__getTable(params.tableName)
+      let partition = this.__parsePrimaryKey(table.meta, params.primaryKey, true)[0]
+      let transactionId = `memory-${++this.__transactionSeq}`
+      // 记录分区数据，回滚时恢复
+      let snapshot = []
+      table.rows.forEach((row, key) => {
+        if (compareCells(row.pk[0], partition) === 0) snapshot.push([key, this.__cloneRow(row)])
+      })
+      this.transactions[transactionId] = { tableName: params.tableName, partition, snapshot }
+      return { transactionId, transaction_id: transactionId }
+    })
+  }
+
+  /**
+   * 提交事务
+   * @param  {Object}   params   参数（同 SDK）
+   * @param  {Function} callback 回调 (err, data)
+   */
+  commitTransaction (params, callback) {
+    this.__exec(callback, () => {
+      this.__getTransaction(params)
+      delete this.transactions[typeof params === 'string' ? params : params.transactionId]
+      return {}
+    })
+  }
+
+  /**
+   * 回滚事务（恢复分区数据）
+   * @param  {Object}   params   参数（同 SDK）
+   * @param  {Function} callback 回调 (err, data)
+   */
+  abortTransaction (params, callback) {
+    this.__exec(callback, () => {
+      let transaction = this.__getTransaction(params)
+      let table = this.__getTable(transaction.tableName)
+      table.rows.forEach((row, key) => {
+        if (compareCells(row.pk[0], transaction.partition) === 0) table.rows.delete(key)
+      })
+      transaction.snapshot.forEach(([key, row]) => table.rows.set(key, row))
+      delete this.transactions[typeof params === 'string' ? params : params.transactionId]
+      return {}
+    })
+  }
+
+  // ================ 内部方法 ================
+
+  /**
+   * 异步执行命令并回调（与 SDK 一样不会同步回调）
+   * @param  {Function} callback 回调 (err, data)
+   * @param  {Function} fn       命令实现
+   */
+  __exec (callback, fn) {
+    setImmediate(() => {
+      let data
+      try {
+        data = fn()
+      } catch (err) {
+        return callback(err)
+      }
+      callback(null, data)
+    })
+  }
+
+  /**
+   * 获取数据表
+   * @param  {String} tableName 表名
+   * @return {Object}           数据表
+   */
+  __getTable (tableName) {
+    let table = this.tables[tableName]
+    if (!table) throw otsError('OTSObjectNotExist', 'Requested table does not exist.')
+    return table
+  }
+
+  /**
+   * 获取可读的数据表（二级索引返回由主表生成的索引表）
+   * @param  {String} tableName 表名或索引名
+   * @return {Object}           数据表
+   */
+  __getReadable (tableName) {
+    if (!this.tables[tableName] && this.indexes[tableName]) return this.__buildIndexTable(tableName)
+    return this.__getTable(tableName)
+  }
+
+  /**
+   * 获取事务
+   * @param  {Object|String} params 参数 { transactionId } 或事务 ID
+   * @return {Object}               事务
+   */
+  __getTransaction (params) {
+    let transaction = this.transactions[typeof params === 'string' ? params : params.transactionId]
+    if (!transaction) throw otsError('OTSSessionNotExist', 'Transaction does not exist.')
+    return transaction
+  }
+
+  /**
+   * 添加二级索引
+   * @param  {String} tableName 主表名
+   * @param  {Object} indexMeta 索引定义 { name, primaryKey, definedColumn }
+   */
+  __addIndex (tableName, indexMeta) {
+    if (this.tables[indexMeta.name] || this.indexes[indexMeta.name]) throw otsError('OTSObjectAlreadyExist', 'Requested index already exists.')
+    this.tables[tableName].meta.indexMetas.push({
+      name: indexMeta.name,
+      primaryKey: [].concat(indexMeta.primaryKey || []),
+      definedColumn: [].concat(indexMeta.definedColumn || [])
+    })
+    this.indexes[indexMeta.name] = tableName
+  }
+
+  /**
+   * 由主表数据生成索引表（索引主键列缺失的行不会出现在索引中）
+   * @param  {String} indexName 索引名
+   * @return {Object}           数据表
+   */
+  __buildIndexTable (indexName) {
+    let base = this.tables[this.indexes[indexName]]
+    let indexMeta = base.meta.indexMetas.find((item) => item.name === indexName)
+    let basePkNames = base.meta.primaryKey.map((item) => item.name)
+    let pkNames = indexMeta.primaryKey.concat(basePkNames.filter((name) => indexMeta.primaryKey.indexOf(name) < 0))
+    let table = {
+      meta: Object.assign({}, base.meta, {
+        tableName: indexName,
+        primaryKey: pkNames.map((name) => ({ name }))
+      }),
+      rows: new Map()
+    }
+    base.rows.forEach((row) => {
+      let pk = []
+      for (let name of pkNames) {
+        let index = basePkNames.indexOf(name)
+        let cell = index >= 0 ? row.pk[index] : (row.columns[name] || [])[0]
+        if (!cell) return
+        pk.push(index >= 0 ? cell : cell.value)
+      }
+      let columns = {}
+      indexMeta.definedColumn.forEach((name) => {
+        if (row.columns[name]) columns[name] = row.columns[name].slice(0, 1)
+      })
+      table.rows.set(this.__rowKey(pk), { pk, columns })
+    })
+    return table
+  }
+
+  /**
+   * 解析主键参数 [{ 列名: 值 }]
+   * @param  {Object}  meta      表结构
+   * @param  {Array}   primaryKey 主键参数
+   * @param  {Boolean} isBound   是否为范围边界（允许 INF_MIN、INF_MAX）
+   * @return {Array}              主键单元格数组
+   */
+  __parsePrimaryKey (meta, primaryKey, isBound = false) {
+    primaryKey = primaryKey || []
+    if (!isBound && primaryKey.length !== meta.primaryKey.length) {
+      throw otsError('OTSParameterInvalid', 'Validate PK size fail.')
+    }
+    return primaryKey.map((item, i) => {
+      let name = Object.keys(item)[0]
+      let value = item[name]
+      let schema = meta.primaryKey[i]
+      if (!schema || schema.name !== name) throw otsError('OTSParameterInvalid', `Validate PK name fail: ${name}.`)
+      if (isBound && value === Store.INF_MIN) return { type: 'INF_MIN' }
+      if (isBound && value === Store.INF_MAX) return { type: 'INF_MAX' }
+      if (typeof value === 'number' && Number.isInteger(value)) value = Store.Long.fromNumber(value)
+      let cell = toCell(value, name)
+      if (schema.type && cell.type !== schema.type) throw otsError('OTSParameterInvalid', `Validate PK type fail: ${name}.`)
+      return cell
+    })
+  }
+
+  /**
+   * 解析主键类型
+   * @param  {String|Number} type 主键类型
+   * @return {String}             INTEGER、STRING、BINARY
+   */
+  __parsePrimaryKeyType (type) {
+    let name = typeof type === 'number'
+      ? Object.keys(Store.PrimaryKeyType).find((key) => Store.PrimaryKeyType[key] === type)
+      : String(type).toUpperCase()
+    if (!Store.PrimaryKeyType[name]) throw otsError('OTSParameterInvalid', `Invalid primary key type: ${type}.`)
+    return name
+  }
+
+  /**
+   * 主键单元格数组 => Map 键
+   * @param  {Array}  pk 主键单元格数组
+   * @return {String}    键
+   */
+  __rowKey (pk) {
+    return JSON.stringify(pk.map((cell) => [cell.type, cell.type === 'BINARY' ? cell.value.toString('base64') : String(cell.value)]))
+  }
+
+  /**
+   * 主键单元格数组 => SDK 返回的主键 [{ name, value }]
+   * @param  {Object} meta 表结构
+   * @param  {Array}  pk   主键单元格数组
+   * @return {Array}       主键
+   */
+  __formatPrimaryKey (meta, pk) {
+    return pk.map((cell, i) => ({ name: meta.primaryKey[i].name, value: fromCell(cell) }))
+  }
+
+  /**
+   * 按读取参数生成 SDK 返回的数据行
+   * @param  {Object} meta    表结构
+   * @param  {Object} row     内部数据行
+   * @param  {Object} params  读取参数 { columnsToGet, maxVersions, timeRange, columnFilter }
+   * @return {Object}         数据行 { primaryKey, attributes }（不存在或被过滤时为 null）
+   */
+  __readRow (meta, row, params = {}) {
+    if (!row) return null
+    if (params.columnFilter && !this.__checkColumnCondition(params.columnFilter, row)) return null
+
+    let maxVersions = params.maxVersions || 1
+    let timeRange = params.timeRange
+    let attributes = []
+    Object.keys(row.columns).sort().forEach((name) => {
+      if (params.columnsToGet && params.columnsToGet.length && params.columnsToGet.indexOf(name) < 0) return
+      let versions = row.columns[name].filter((version) => {
+        if (!timeRange) return true
+        if (timeRange.specificTime !== undefined && timeRange.specificTime !== null) return version.timestamp === toTimestamp(timeRange.specificTime)
+        return version.timestamp >= toTimestamp(timeRange.startTime || 0) &&
+          (timeRange.endTime === undefined || version.timestamp < toTimestamp(timeRange.endTime))
+      })
+      versions.slice(0, maxVersions).forEach((version) => attributes.push({
+        columnName: name,
+        columnValue: fromCell(version.value),
+        timestamp: Store.Long.fromNumber(version.timestamp)
+      }))
+    })
+    return { primaryKey: this.__formatPrimaryKey(meta, row.pk), attributes }
+  }
+
+  /**
+   * 写入一行（PUT、UPDATE、DELETE）
+   * @param  {String} tableName 表名
+   * @param  {Object} params    写入参数（同 batchWriteRow 的行参数）
+   * @return {Object}           { consumed, row }
+   */
+  __writeRow (tableName, params) {
+    if (this.indexes[tableName] && !this.tables[tableName]) throw otsError('OTSParameterInvalid', 'Index table is read only.')
+    let table = this.__getTable(tableName)
+    let meta = table.meta
+
+    // 自增主键
+    let primaryKey = (params.primaryKey || []).map((item, i) => {
+      let name = Object.keys(item)[0]
+      if (item[name] !== Store.PK_AUTO_INCR) return item
+      if (params.type !== 'PUT' || !meta.primaryKey[i] || !meta.primaryKey[i].autoIncrement) {
+        throw otsError('OTSParameterInvalid', `Column ${name} is not an auto increment primary key.`)
+      }
+      return { [name]: Store.Long.fromNumber(table.autoIncrement++) }
+    })
+    let pk = this.__parsePrimaryKey(meta, primaryKey)
+    let key = this.__rowKey(pk)
+    let row = table.rows.get(key)
+
+    // 条件检查
+    this.__checkCondition(params.condition, row)
+
+    let now = Date.now()
+    switch (params.type) {
+      case 'PUT':
+        row = { pk, columns: {} }
+        for (let item of params.attributeColumns || []) this.__putColumn(row, item, now)
+        break
+      case 'UPDATE':
+        row = row ? this.__cloneRow(row) : { pk, columns: {} }
+        for (let group of params.attributeColumns || []) {
+          let op = Object.keys(group)[0]
+          for (let item of group[op]) this.__updateColumn(row, op, item, now)
+        }
+        break
+      case 'DELETE':
+        row = null
+        break
+      default:
+        throw otsError('OTSParameterInvalid', `Invalid row operation type: ${params.type}.`)
+    }
+
+    if (row) {
+      this.__trimVersions(row, meta.maxVersions)
+      table.rows.set(key, row)
+    } else {
+      table.rows.delete(key)
+    }
+
+    return { consumed: this.__consumed(0, 1), row: this.__returnRow(meta, pk, row, params.returnContent) }
+  }
+
+  /**
+   * 写入列（PUT）
+   * @param  {Object} row  内部数据行
+   * @param  {Object} item 列参数 { 列名: 值, timestamp }
+   * @param  {Number} now  默认版本号
+   */
+  __putColumn (row, item, now) {
+    let name = Object.keys(item).find((key) => key !== 'timestamp')
+    let timestamp = item.timestamp !== undefined ? toTimestamp(item.timestamp) : now
+    let versions = (row.columns[name] || []).filter((version) => version.timestamp !== timestamp)
+    versions.push({ value: toCell(item[name], name), timestamp })
+    row.columns[name] = versions.sort((a, b) => b.timestamp - a.timestamp)
+  }
+
+  /**
+   * 更新列（PUT、DELETE、DELETE_ALL、INCREMENT）
+   * @param  {Object} row  内部数据行
+   * @param  {String} op   更新类型
+   * @param  {*}      item 列参数
+   * @param  {Number} now  默认版本号
+   */
+  __updateColumn (row, op, item, now) {
+    switch (op) {
+      case Store.UpdateType.PUT:
+        return this.__putColumn(row, item, now)
+      case Store.UpdateType.DELETE_ALL:
+        delete row.columns[item]
+        return
+      case Store.UpdateType.DELETE: {
+        let name = Object.keys(item)[0]
+        let timestamp = toTimestamp(item[name])
+        if (!row.columns[name]) return
+        row.columns[name] = row.columns[name].filter((version) => version.timestamp !== timestamp)
+        if (!row.columns[name].length) delete row.columns[name]
+        return
+      }
+      case Store.UpdateType.INCREMENT: {
+        let name = Object.keys(item)[0]
+        let delta = toCell(item[name], name)
+        let current = (row.columns[name] || [])[0]
+        if (delta.type !== 'INTEGER' || (current && current.value.type !== 'INTEGER')) {
+          throw otsError('OTSParameterInvalid', `Increment column ${name} must be INTEGER.`)
+        }
+        let value = (current ? current.value.value : BigInt(0)) + delta.value
+        row.columns[name] = [{ value: { type: 'INTEGER', value }, timestamp: now }].concat((row.columns[name] || []).filter((version) => version.timestamp !== now))
+        return
+      }
+      default:
+        throw otsError('OTSParameterInvalid', `Invalid update type: ${op}.`)
+    }
+  }
+
+  /**
+   * 按最大版本数删除旧版本
+   * @param  {Object} row         内部数据行
+   * @param  {Number} maxVersions 最大版本数
+   */
+  __trimVersions (row, maxVersions) {
+    for (let name in row.columns) row.columns[name] = row.columns[name].slice(0, maxVersions)
+  }
+
+  /**
+   * 按 returnContent 生成写操作返回的数据行
+   * @param  {Object} meta          表结构
+   * @param  {Array}  pk            主键单元格数组
+   * @param  {Object} row           写入后的内部数据行
+   * @param  {Object} returnContent { returnType, returnColumns }
+   * @return {Object}               数据行（不返回时为 {}）
+   */
+  __returnRow (meta, pk, row, returnContent) {
+    let returnType = (returnContent || {}).returnType
+    if (returnType === Store.ReturnType.Primarykey) return { primaryKey: this.__formatPrimaryKey(meta, pk), attributes: [] }
+    if (returnType === Store.ReturnType.AfterModify && row) {
+      return this.__readRow(meta, row, { columnsToGet: returnContent.returnColumns || [] })
+    }
+    return {}
+  }
+
+  /**
+   * 检查行存在性期望与列条件，失败时抛出 OTSConditionCheckFail
+   * @param  {Condition} condition 条件
+   * @param  {Object}    row       内部数据行（不存在时为 undefined）
+   */
+  __checkCondition (condition, row) {
+    if (!condition) return
+    let expectation = condition.rowExistenceExpectation
+    let passed = true
+    if (expectation === Store.RowExistenceExpectation.EXPECT_EXIST && !row) passed = false
+    if (expectation === Store.RowExistenceExpectation.EXPECT_NOT_EXIST && row) passed = false
+    if (passed && condition.columnCondition) {
+      passed = this.__checkColumnCondition(condition.columnCondition, row || { columns: {} })
+    }
+    if (!passed) throw otsError('OTSConditionCheckFail', 'Condition check failed.')
+  }
+
+  /**
+   * 检查列条件
+   * @param  {ColumnCondition} condition 列条件
+   * @param  {Object}          row       内部数据行
+   * @return {Boolean}                   是否满足
+   */
+  __checkColumnCondition (condition, row) {
+    if (condition.sub_conditions) {
+      let results = condition.sub_conditions.map((item) => this.__checkColumnCondition(item, row))
+      switch (condition.combinator) {
+        case Store.LogicalOperator.NOT:
+          return !results[0]
+        case Store.LogicalOperator.AND:
+          return results.every(Boolean)
+        default:
+          return results.some(Boolean)
+      }
+    }
+
+    let versions = row.columns[condition.columnName]
+    if (!versions || !versions.length) return condition.passIfMissing !== false
+    let expected = toCell(condition.columnValue, condition.columnName)
+    let values = condition.latestVersionOnly === false ? versions : versions.slice(0, 1)
+    return values.some((version) => {
+      let result = compareCells(version.value, expected)
+      // 类型不同的值之间的比较（包括 NOT_EQUAL）一律不满足
+      if (result === null) return false
+      switch (condition.comparator) {
+        case Store.ComparatorType.EQUAL:
+          return result === 0
+        case Store.ComparatorType.NOT_EQUAL:
+          return result !== 0
+        case Store.ComparatorType.GREATER_THAN:
+          return result > 0
+        case Store.ComparatorType.GREATER_EQUAL:
+          return result >= 0
+        case Store.ComparatorType.LESS_THAN:
+          return result < 0
+        case Store.ComparatorType.LESS_EQUAL:
+          return result <= 0
+        default:
+          return false
+      }
+    })
+  }
+
+  /**
+   * 复制内部数据行
+   * @param  {Object} row 内部数据行
+   * @return {Object}     新的数据行
+   */
+  __cloneRow (row) {
+    let columns = {}
+    for (let name in row.columns) columns[name] = row.columns[name].slice()
+    return { pk: row.pk, columns }
+  }
+
+  /**
+   * 批量操作的成功结果
+   * @param  {String} tableName 表名
+   * @param  {Object} row       数据行（不存在时为 null）
+   * @return {Object}           结果
+   */
+  __batchResult (tableName, row) {
+    return {
+      isOk: true,
+      errorCode: null,
+      errorMessage: null,
+      tableName,
+      capacityUnit: { read: 1, write: 0 },
+      primaryKey: row ? row.primaryKey : null,
+      attributes: row ? row.attributes : null
+    }
+  }
+
+  /**
+   * 批量操作的失败结果
+   * @param  {String} tableName 表名
+   * @param  {Error}  err       错误对象
+   * @return {Object}           结果
+   */
+  __batchError (tableName, err) {
+    if (!err.code) throw err
+    return {
+      isOk: false,
+      errorCode: err.code,
+      errorMessage: err.message,
+      tableName,
+      capacityUnit: '',
+      primaryKey: null,
+      attributes: null
+    }
+  }
+
+  /**
+   * 消耗的读写能力单元
+   * @param  {Number} read  读
+   * @param  {Number} write 写
+   * @return {Object}       consumed
+   */
+  __consumed (read, write) {
+    return { capacity_unit: { read, write } }
+  }
+}
+
+module.exports = MemoryDriver
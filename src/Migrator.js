@@ -0,0 +1,315 @@
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const crypto = require('crypto')
+const Table = require('./Table')
+const { ValidationError, ConditionCheckFailedError, MigrationLockedError } = require('./Errors')
+
+/**
+ * 迁移文件名格式（时间戳_名称.js）
+ * @type {RegExp}
+ */
+const FILE_PATTERN = /^(\d+)[_-].+\.js$/
+
+/**
+ * 锁行的主键值（不会与迁移名冲突）
+ * @type {String}
+ */
+const LOCK_NAME = '~lock'
+
+/**
+ * 新建迁移文件的模板
+ * @type {String}
+ */
+const TEMPLATE = `module.exports = {
+  async up (store) {
+  },
+
+  async down (store) {
+  }
+}
+`
+
+/**
+ * 生成时间戳（YYYYMMDDHHmmss，UTC）
+ * @param  {Date}   date 时间
+ * @return {String}      时间戳
+ */
+function timestamp (date) {
+  return date.toISOString().replace(/[-:T]/g, '').slice(0, 14)
+}
+
+/**
+ * Migrator 类（版本化的表结构迁移）
+ *
+ * 迁移为按时间戳排序的文件，导出 up、down 两个 async 函数：
+ *   // migrations/20240101120000_add_ttl.js
+ *   module.exports = {
+ *     async up (store) { await store.updateTable({ ... }) },
+ *     async down (store) { ... }
+ *   }
+ *
+ * 已执行的迁移记录在记账表中（每个迁移一行），同一表中的锁行保证同一时间只有一个进程在迁移。
+ */
+class Migrator {
+  /**
+   * 构造函数
+   * @param  {TableStore} store                 TableStore实例
+   * @param  {Object}     options               选项
+   * @param  {String}     options.directory     迁移文件目录（默认为 ./migrations）
+   * @param  {Array}      options.migrations    迁移列表 [{ name, up, down }]（指定时不读取目录）
+   * @param  {String}     options.tableName     记账表名（默认为 migrations）
+   * @param  {Number}     options.lockTimeout   锁的有效期（毫秒，每执行完一个迁移续期一次，默认 10 分钟）
+   */
+  constructor (store, options = {}) {
+    this.store = store
+
+    // options
+    Object.assign(this, {
+      directory: path.resolve(options.directory || 'migrations'),
+      tableName: options.tableName || 'migrations',
+      lockTimeout: options.lockTimeout || 10 * 60 * 1000
+    })
+    this.__migrations = options.migrations || null
+
+    // 锁的持有者标识
+    this.owner = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`
+
+    // 记账表
+    this.table = new Table(this.tableName, {
+      primaryKeys: [{ name: 'name', type: 'STRING' }]
+    }).setStore(store)
+  }
+
+  /**
+   * 新建迁移文件
+   * @param  {String} name 迁移名
+   * @return {String}      文件路径
+   */
+  generate (name) {
+    if (!name || !/^[\w-]+$/.test(name)) throw new ValidationError(`迁移名 ${name} 不正确！`)
+    let file = path.join(this.directory, `${timestamp(new Date())}_${name}.js`)
+    fs.mkdirSync(this.directory, { recursive: true })
+    fs.writeFileSync(file, TEMPLATE, { flag: 'wx' })
+    return file
+  }
+
+  /**
+   * 获取所有迁移（按名称排序）
+   * @return {Array} 迁移列表 [{ name, up, down }]
+   */
+  load () {
+    let migrations = this.__migrations
+    if (!migrations) {
+      let files = fs.existsSync(this.directory) ? fs.readdirSync(this.directory) : []
+      migrations = files.filter((file) => FILE_PATTERN.test(file)).map((file) => {
+        return Object.assign({ name: path.basename(file, '.js') }, require(path.join(this.directory, file)))
+      })
+    }
+
+    let names = {}
+    for (let migration of migrations) {
+      if (!migration.name || typeof migration.up !== 'function') {
+        throw new ValidationError(`迁移 ${migration.name} 必须导出 up 函数！`)
+      }
+      if (names[migration.name]) throw new ValidationError(`迁移 ${migration.name} 重复！`)
+      names[migration.name] = true
+    }
+    return migrations.slice().sort((a, b) => a.name < b.name ? -1 : a.name > b.name ? 1 : 0)
+  }
+
+  /**
+   * 获取迁移状态
+   * @return {Promise} promise，结果为 [{ name, applied, appliedAt, missing }]，missing 为 true 时迁移文件已不存在
+   */
+  async status () {
+    let migrations = this.load()
+    let applied = await this.__getApplied()
+    let result = migrations.map((item) => ({
+      name: item.name,
+      applied: !!applied[item.name],
+      appliedAt: applied[item.name] ? applied[item.name].appliedAt : null,
+      missing: false
+    }))
+    for (let name in applied) {
+      if (migrations.some((item) => item.name === name)) continue
+      result.push({ name, applied: true, appliedAt: applied[name].appliedAt, missing: true })
+    }
+    return result.sort((a, b) => a.name < b.name ? -1 : a.name > b.name ? 1 : 0)
+  }
+
+  /**
+   * 执行未执行的迁移
+   * @param  {Object} options     选项
+   * @param  {String} options.to  执行到指定迁移为止（包含该迁移）
+   * @return {Promise}            promise，结果为已执行的迁移名数组
+   */
+  async migrate (options = {}) {
+    let migrations = this.load()
+    if (options.to && !migrations.some((item) => item.name === options.to)) {
+      throw new ValidationError(`迁移 ${options.to} 不存在！`)
+    }
+
+    return this.__withLock(async () => {
+      let applied = await this.__getApplied()
+      let pending = migrations.filter((item) => !applied[item.name] && (!options.to || item.name <= options.to))
+      let names = []
+      for (let migration of pending) {
+        await migration.up(this.store)
+        await this.table.put({ name: migration.name, appliedAt: Date.now() })
+        names.push(migration.name)
+        await this.__refreshLock()
+      }
+      return names
+    })
+  }
+
+  /**
+   * 回滚已执行的迁移（从最新的开始）
+   * @param  {Object} options       选项
+   * @param  {Number} options.step  回滚的迁移数（默认为 1）
+   * @param  {String} options.to    回滚到指定迁移为止（不包含该迁移，指定时忽略 step）
+   * @return {Promise}              promise，结果为已回滚的迁移名数组
+   */
+  async rollback (options = {}) {
+    let migrations = this.load()
+    let step = options.step === undefined ? 1 : options.step
+
+    return this.__withLock(async () => {
+      let applied = Object.keys(await this.__getApplied()).sort().reverse()
+      let targets = options.to ? applied.filter((name) => name > options.to) : applied.slice(0, step)
+      let names = []
+      for (let name of targets) {
+        let migration = migrations.find((item) => item.name === name)
+        if (!migration) throw new ValidationError(`迁移 ${name} 的文件不存在，无法回滚！`)
+        if (typeof migration.down !== 'function') throw new ValidationError(`迁移 ${name} 未导出 down 函数，无法回滚！`)
+        await migration.down(this.store)
+        await this.table.delete({ name })
+        names.push(name)
+        await this.__refreshLock()
+      }
+      return names
+    })
+  }
+
+  /**
+   * 强制释放锁（用于迁移进程异常退出后立即解锁）
+   * @return {Promise} promise
+   */
+  async unlock () {
+    await this.__ensureTable()
+    await this.table.delete({ name: LOCK_NAME })
+  }
+
+  /**
+   * 获取已执行的迁移
+   * @return {Promise} promise，结果为 { 迁移名: 记录行 }
+   */
+  async __getApplied () {
+    await this.__ensureTable()
+    let applied = {}
+    for (let row of await this.table.getRange({ where: {} })) {
+      if (row.name !== LOCK_NAME) applied[row.name] = row
+    }
+    return applied
+  }
+
+  /**
+   * 记账表不存在时创建（其他进程同时创建时视为成功）
+   * @return {Promise} promise
+   */
+  async __ensureTable () {
+    if (this.table.isSynced) return
+    let result = await this.store.listTable()
+    if ((result.table_names || []).indexOf(this.tableName) < 0) {
+      try {
+        await this.table.create()
+      } catch (err) {
+        if (err.code !== 'OTSObjectAlreadyExist') throw err
+      }
+    }
+    await this.table.sync()
+  }
+
+  /**
+   * 持有锁执行回调（结束后释放锁）
+   *
+   * 回调失败后释放锁也失败时抛出回调的错误，释放锁的错误记录在其 unlockError 属性上。
+   * @param  {Function} fn 回调 async () => {}
+   * @return {Promise}     promise，结果为回调的返回值
+   */
+  async __withLock (fn) {
+    await this.__lock()
+    let result
+    try {
+      result = await fn()
+    } catch (err) {
+      try {
+        await this.__unlock()
+      } catch (unlockErr) {
+        err.unlockError = unlockErr
+      }
+      throw err
+    }
+    await this.__unlock()
+    return result
+  }
+
+  /**
+   * 获取锁（锁已过期时接管）
+   * @return {Promise} promise
+   */
+  async __lock () {
+    await this.__ensureTable()
+    let row = { name: LOCK_NAME, owner: this.owner, expiresAt: Date.now() + this.lockTimeout }
+    try {
+      await this.table.insert(row)
+      return
+    } catch (err) {
+      if (!(err instanceof ConditionCheckFailedError)) throw err
+    }
+
+    let lock = await this.table.get({ name: LOCK_NAME })
+    if (lock && lock.expiresAt > Date.now()) {
+      throw new MigrationLockedError(`迁移锁被 ${lock.owner} 持有，到期时间为 ${new Date(lock.expiresAt).toISOString()}`)
+    }
+    // 只在锁仍是读到的那一把时接管，避免与其他进程同时接管
+    try {
+      if (lock) {
+        await this.table.put(row, { expect: 'exist', where: { owner: lock.owner, expiresAt: lock.expiresAt } })
+      } else {
+        await this.table.insert(row)
+      }
+    } catch (err) {
+      if (err instanceof ConditionCheckFailedError) throw new MigrationLockedError('迁移锁已被其他进程获取')
+      throw err
+    }
+  }
+
+  /**
+   * 锁续期（锁已被其他进程接管时抛出 MigrationLockedError）
+   * @return {Promise} promise
+   */
+  async __refreshLock () {
+    try {
+      await this.table.update({ name: LOCK_NAME, expiresAt: Date.now() + this.lockTimeout }, { where: { owner: this.owner } })
+    } catch (err) {
+      if (err instanceof ConditionCheckFailedError) throw new MigrationLockedError('迁移锁已过期并被其他进程获取')
+      throw err
+    }
+  }
+
+  /**
+   * 释放锁（只删除自己持有的锁）
+   * @return {Promise} promise
+   */
+  async __unlock () {
+    try {
+      await this.table.delete({ name: LOCK_NAME }, { expect: 'exist', where: { owner: this.owner } })
+    } catch (err) {
+      if (!(err instanceof ConditionCheckFailedError)) throw err
+    }
+  }
+}
+
+module.exports = Migrator
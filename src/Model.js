@@ -0,0 +1,508 @@
+const Codec = require('./Codec')
+const Validator = require('./Validator')
+const { ValidationError, ConditionCheckFailedError, StaleObjectError } = require('./Errors')
+
+/**
+ * 支持的主键类型
+ * @type {Array}
+ */
+const PRIMARY_KEY_TYPES = [
+  Codec.DataType.INTEGER,
+  Codec.DataType.STRING,
+  Codec.DataType.BINARY
+]
+
+/**
+ * 生命周期钩子
+ * @type {Array}
+ */
+const HOOKS = [
+  'beforeValidate',
+  'beforeSave',
+  'afterSave',
+  'beforeDestroy',
+  'afterFind'
+]
+
+/**
+ * Model 类
+ */
+class Model {
+  /**
+   * 构造函数
+   * @param  {Object}  data         数据行
+   * @param  {Boolean} isNewRecord  是否为新记录（未保存到数据库）
+   */
+  constructor (data = {}, isNewRecord = true) {
+    // 属性值
+    this.__data = {}
+    // 已修改的属性名
+    this.__changed = {}
+    // 状态
+    this.isNewRecord = isNewRecord
+
+    // 默认值
+    let props = this.constructor.props
+    for (let key in props) {
+      if (data.hasOwnProperty(key)) continue
+      let defaultValue = props[key].defaultValue
+      if (defaultValue === undefined) continue
+      this.__data[key] = typeof defaultValue === 'function' ? defaultValue() : defaultValue
+    }
+
+    // 数据
+    for (let key in data) {
+      this.__data[key] = data[key]
+    }
+
+    // 新记录的所有属性都视为已修改
+    if (isNewRecord) {
+      Object.keys(this.__data).forEach((key) => { this.__changed[key] = true })
+    }
+  }
+
+  /**
+   * 获取属性值
+   * @param  {String} key 属性名
+   * @return {*}          属性值
+   */
+  get (key) {
+    return this.__data[key]
+  }
+
+  /**
+   * 设置属性值（支持对象形式批量设置）
+   * @param  {String|Object} key   属性名或属性对象
+   * @param  {*}             value 属性值
+   * @return {Model}               当前实例
+   */
+  set (key, value) {
+    if (typeof key === 'object') {
+      for (let k in key) this.set(k, key[k])
+      return this
+    }
+    if (this.__data[key] === value) return this
+    this.__data[key] = value
+    this.__changed[key] = true
+    return this
+  }
+
+  /**
+   * 获取已修改的属性名
+   * @return {Array} 属性名数组
+   */
+  changed () {
+    return Object.keys(this.__changed)
+  }
+
+  /**
+   * 判断是否有修改（不传 key 时判断整行）
+   * @param  {String}  [key] 属性名
+   * @return {Boolean}       是否有修改
+   */
+  isDirty (key) {
+    if (key === undefined) return this.changed().length > 0
+    return !!this.__changed[key]
+  }
+
+  /**
+   * 获取主键行
+   * @return {Object} 仅包含主键列的行
+   */
+  getPrimaryKey () {
+    let row = {}
+    this.constructor.table.primaryKeys.forEach((item) => {
+      row[item.name] = this.__data[item.name]
+    })
+    return row
+  }
+
+  /**
+   * 写入服务端返回的主键（如自增主键）
+   * @param  {Object} row 写入后返回的数据行
+   */
+  __assignPrimaryKey (row) {
+    if (!row) return
+    this.constructor.table.primaryKeys.forEach((item) => {
+      if (row.hasOwnProperty(item.name)) this.__data[item.name] = row[item.name]
+    })
+  }
+
+  /**
+   * 校验属性（规则见 Validator），失败时抛出 ValidationError，errors 为各属性的错误信息
+   * @return {Promise} promise
+   */
+  async validate () {
+    await this.constructor.runHook('beforeValidate', this)
+    await Validator.validate(this.constructor.props, this.__data, {
+      name: this.constructor.modelName,
+      codec: this.constructor.table.__codec,
+      instance: this
+    })
+    return this
+  }
+
+  /**
+   * 保存（新记录插入整行，已有记录只更新修改过的列）
+   *
+   * 模型声明了 versionKey 时使用乐观锁：更新时检查版本列未被修改并将其原子加 1，
+   * 检查失败（其他人已更新该行）时抛出 StaleObjectError。
+   *
+   * @return {Promise} promise
+   */
+  async save () {
+    let table = this.constructor.table
+    let versionKey = this.constructor.versionKey
+    await this.validate()
+    await this.constructor.runHook('beforeSave', this)
+
+    if (this.isNewRecord) {
+      if (versionKey) this.__data[versionKey] = 1
+      let row = await table.insert(this.toJSON())
+      this.__assignPrimaryKey(row)
+      this.isNewRecord = false
+    } else if (this.isDirty()) {
+      let row = this.getPrimaryKey()
+      let unset = []
+      this.changed().forEach((key) => {
+        if (key === versionKey) return
+        let value = this.__data[key]
+        // 置空的属性删除对应列
+        if (value === undefined || value === null) unset.push(key)
+        else row[key] = value
+      })
+      if (unset.length) row.$unset = unset
+      if (versionKey) {
+        await this.__updateWithVersion(row)
+      } else {
+        await table.update(row)
+      }
+    }
+
+    this.__changed = {}
+    await this.constructor.runHook('afterSave', this)
+    return this
+  }
+
+  /**
+   * 带版本检查的更新（乐观锁）
+   * @param  {Object} row 待更新的数据行
+   * @return {Promise}    promise
+   */
+  async __updateWithVersion (row) {
+    let versionKey = this.constructor.versionKey
+    let version = this.__data[versionKey]
+    row.$inc = { [versionKey]: 1 }
+
+    let result
+    try {
+      result = await this.constructor.table.update(row, { where: this.__versionCondition(version), returnColumns: [versionKey] })
+    } catch (err) {
+      throw this.__toStaleError(err, version)
+    }
+    this.__data[versionKey] = result[versionKey]
+  }
+
+  /**
+   * 带版本检查的整行写入（乐观锁，存在则覆盖）
+   *
+   * 数据中有版本列时检查该行的版本未被修改；没有时以当前行的版本为准，该行不存在时要求仍不存在。
+   * 写入的版本列为原版本加 1（新行为 1）。
+   *
+   * @return {Promise} promise，结果为写入后返回的数据行
+   */
+  async __putWithVersion () {
+    let table = this.constructor.table
+    let versionKey = this.constructor.versionKey
+    let version = this.__data[versionKey]
+    let exists = version !== undefined && version !== null
+    let options = {}
+
+    if (!exists && table.__isFullPrimaryKey(this.toJSON())) {
+      let current = await table.get(this.getPrimaryKey())
+      if (current) {
+        exists = true
+        version = current[versionKey]
+      } else {
+        options = { expect: 'notExist' }
+      }
+    }
+    if (exists) options = { expect: 'exist', where: this.__versionCondition(version) }
+
+    this.__data[versionKey] = version === undefined || version === null ? 1 : Number(version) + 1
+    try {
+      return await table.put(this.toJSON(), options)
+    } catch (err) {
+      this.__data[versionKey] = version
+      throw this.__toStaleError(err, version)
+    }
+  }
+
+  /**
+   * 版本检查条件
+   * @param  {Number} version 读取时的版本（旧数据可能没有版本列）
+   * @return {Object}         列条件表达式
+   */
+  __versionCondition (version) {
+    let versionKey = this.constructor.versionKey
+    return {
+      [versionKey]: version === undefined || version === null ? { $exists: false } : { $eq: version, $passIfMissing: false }
+    }
+  }
+
+  /**
+   * 将条件检查失败转换为 StaleObjectError（其他错误原样返回）
+   * @param  {Error}  err     错误对象
+   * @param  {Number} version 读取时的版本
+   * @return {Error}          错误对象
+   */
+  __toStaleError (err, version) {
+    if (!(err instanceof ConditionCheckFailedError)) return err
+    return new StaleObjectError(`${this.constructor.modelName} 已被修改（${this.constructor.versionKey}: ${version}），请重新读取后再保存`, {
+      code: err.code,
+      requestId: err.requestId,
+      cause: err
+    })
+  }
+
+  /**
+   * 删除当前记录
+   * @return {Promise} promise
+   */
+  async destroy () {
+    await this.constructor.runHook('beforeDestroy', this)
+    await this.constructor.table.delete(this.getPrimaryKey())
+    this.isNewRecord = true
+    return this
+  }
+
+  /**
+   * 转换为普通对象
+   * @return {Object} 数据行
+   */
+  toJSON () {
+    return Object.assign({}, this.__data)
+  }
+
+  // ================ 静态方法 ================
+
+  /**
+   * 根据数据库数据行创建实例
+   * @param  {Object} row 数据行
+   * @return {Model}      模型实例
+   */
+  static build (row) {
+    if (!row) return null
+    return new this(row, false)
+  }
+
+  /**
+   * 查询多条记录
+   * @param  {Object} options 查询选项（同 Table.select）
+   * @return {Promise}        promise
+   */
+  static async find (options) {
+    let page = await this.findPage(options)
+    return page.rows
+  }
+
+  /**
+   * 分页查询多条记录
+   * @param  {Object} options 查询选项（同 Table.select）
+   * @return {Promise}        promise，结果为 { rows, nextToken }
+   */
+  static async findPage (options) {
+    let page = await this.table.select(options)
+    let rows = page.rows.map((row) => this.build(row))
+    for (let instance of rows) await this.runHook('afterFind', instance)
+    return { rows, nextToken: page.nextToken }
+  }
+
+  /**
+   * 根据主键查询一条记录
+   * @param  {Object} where   带主键的条件
+   * @param  {Object} options 选项（同 Table.get）
+   * @return {Promise}        promise
+   */
+  static async findOne (where, options) {
+    let row = await this.table.get(where, options)
+    let instance = this.build(row)
+    if (instance) await this.runHook('afterFind', instance)
+    return instance
+  }
+
+  /**
+   * 新建并保存一条记录
+   * @param  {Object} data 数据行
+   * @return {Promise}     promise
+   */
+  static create (data) {
+    return new this(data).save()
+  }
+
+  /**
+   * 保存一条记录（存在则覆盖，声明了 versionKey 时检查版本并将其加 1，见 __putWithVersion）
+   * @param  {Object} data 数据行
+   * @return {Promise}     promise
+   */
+  static async save (data) {
+    let instance = new this(data)
+    await instance.validate()
+    await this.runHook('beforeSave', instance)
+    let row = this.versionKey ? await instance.__putWithVersion() : await this.table.put(instance.toJSON())
+    instance.__assignPrimaryKey(row)
+    instance.isNewRecord = false
+    instance.__changed = {}
+    await this.runHook('afterSave', instance)
+    return instance
+  }
+
+  /**
+   * 根据主键删除一条记录
+   * @param  {Object} where 带主键的条件
+   * @return {Promise}      promise
+   */
+  static async destroy (where) {
+    await this.runHook('beforeDestroy', this.build(where))
+    return this.table.delete(where)
+  }
+
+  /**
+   * 注册生命周期钩子（同一钩子可注册多个，按注册顺序执行，TableStore 上注册的全局钩子先执行）
+   * @param  {String}   name 钩子名：beforeValidate、beforeSave、afterSave、beforeDestroy、afterFind
+   * @param  {Function} fn   钩子函数 async (instance) => {}，抛出错误时中止操作
+   * @return {Function}      模型类
+   */
+  static addHook (name, fn) {
+    Model.checkHook(name, fn)
+    if (!this.hasOwnProperty('hooks')) this.hooks = {}
+    this.hooks[name] = (this.hooks[name] || []).concat(fn)
+    return this
+  }
+
+  /**
+   * 执行生命周期钩子
+   * @param  {String} name     钩子名
+   * @param  {Model}  instance 模型实例
+   * @return {Promise}         promise
+   */
+  static async runHook (name, instance) {
+    let globalHooks = (this.store && this.store.hooks) || {}
+    let hooks = [].concat(globalHooks[name] || [], (this.hasOwnProperty('hooks') && this.hooks[name]) || [])
+    for (let fn of hooks) await fn.call(this, instance)
+  }
+
+  /**
+   * 检查钩子名与钩子函数
+   * @param  {String}   name 钩子名
+   * @param  {Function} fn   钩子函数
+   */
+  static checkHook (name, fn) {
+    if (HOOKS.indexOf(name) < 0) throw new ValidationError(`不支持的钩子：${name}`)
+    if (typeof fn !== 'function') throw new ValidationError(`钩子 ${name} 必须为函数`)
+  }
+
+  /**
+   * 定义模型
+   * @param  {String}     modelName     模型名
+   * @param  {Object}     props         属性定义
+   * @param  {Object}     tableOptions  数据表选项（同 Table，另支持 versionKey：乐观锁版本列名，hooks：{ 钩子名: 函数或函数数组 }）
+   * @param  {TableStore} store         TableStore实例
+   * @return {Function}                 模型类
+   */
+  static define (modelName, props = {}, tableOptions = {}, store) {
+    props = Model.normalizeProps(props)
+
+    // 未指定主键时由属性定义生成
+    let options = Object.assign({}, tableOptions)
+    if (!options.primaryKeys || !options.primaryKeys.length) {
+      options.primaryKeys = Object.keys(props)
+        .filter((key) => props[key].primaryKey)
+        .map((key) => {
+          let pk = { name: key, type: Model.parsePrimaryKeyType(props[key].type) }
+          if (props[key].autoIncrement) pk.autoIncrement = true
+          return pk
+        })
+    }
+
+    // 未指定列类型时由属性定义生成
+    if (!options.columns) {
+      options.columns = {}
+      Object.keys(props).forEach((key) => {
+        let type = Codec.normalizeType(props[key].type)
+        if (!props[key].primaryKey && type) options.columns[key] = type
+      })
+    }
+
+    // 乐观锁版本列（INTEGER）
+    let versionKey = options.versionKey || null
+    if (versionKey) {
+      if (!props[versionKey]) props[versionKey] = Model.normalizeProps({ [versionKey]: 'INTEGER' })[versionKey]
+      options.columns = Object.assign({}, options.columns, { [versionKey]: Codec.DataType.INTEGER })
+    }
+
+    // 模型类
+    const DefinedModel = class extends Model {}
+    Object.defineProperty(DefinedModel, 'name', { value: modelName })
+    DefinedModel.modelName = modelName
+    DefinedModel.props = props
+    DefinedModel.versionKey = versionKey
+    DefinedModel.store = store
+    DefinedModel.table = store.defineTable(options.tableName || modelName, options)
+
+    // 生命周期钩子
+    DefinedModel.hooks = {}
+    for (let name in options.hooks || {}) {
+      [].concat(options.hooks[name]).forEach((fn) => DefinedModel.addHook(name, fn))
+    }
+
+    // 属性访问器
+    Object.keys(props).forEach((key) => {
+      if (key in DefinedModel.prototype) return
+      Object.defineProperty(DefinedModel.prototype, key, {
+        get () { return this.get(key) },
+        set (value) { this.set(key, value) }
+      })
+    })
+
+    return DefinedModel
+  }
+
+  /**
+   * 规范化属性定义（支持 { name: String } 简写）
+   * @param  {Object} props 属性定义
+   * @return {Object}       规范化后的属性定义
+   */
+  static normalizeProps (props) {
+    let result = {}
+    for (let key in props) {
+      let prop = props[key]
+      if (typeof prop === 'function' || typeof prop === 'string') prop = { type: prop }
+      result[key] = Object.assign({
+        type: String,
+        primaryKey: false,
+        required: false,
+        autoIncrement: false,
+        defaultValue: undefined
+      }, prop)
+      // 主键必填（自增主键由服务端生成）
+      if (result[key].primaryKey) result[key].required = !result[key].autoIncrement
+    }
+    return result
+  }
+
+  /**
+   * 将属性类型转换为主键类型
+   * @param  {Function|String} type 属性类型（Number、BigInt 为 INTEGER）
+   * @return {String}               主键类型
+   */
+  static parsePrimaryKeyType (type) {
+    let pkType = Codec.normalizeType(type, true)
+    if (PRIMARY_KEY_TYPES.indexOf(pkType) < 0) throw new ValidationError('不支持的主键类型！')
+    return pkType
+  }
+}
+
+Model.HOOKS = HOOKS
+
+module.exports = Model
@@ -0,0 +1,283 @@
+const Store = require('tablestore')
+const { ValidationError } = require('./Errors')
+
+/**
+ * 单次 getRange 请求的最大行数
+ * @type {Number}
+ */
+const MAX_LIMIT = 5000
+
+/**
+ * INTEGER 的最大值
+ * @type {String}
+ */
+const MAX_INTEGER = '9223372036854775807'
+
+/**
+ * 计算紧邻完整主键之后的主键（最后一列 INTEGER 加 1，STRING、BINARY 末尾补 \0）
+ * @param  {Array} key 完整主键 [{ 列名: 值 }]
+ * @return {Array}     主键
+ */
+function nextPrimaryKey (key) {
+  let name = Object.keys(key[key.length - 1])[0]
+  let value = key[key.length - 1][name]
+  if (typeof value === 'string') {
+    value += '\u0000'
+  } else if (value instanceof Buffer) {
+    value = Buffer.concat([value, Buffer.alloc(1)])
+  } else if (value.toString() === MAX_INTEGER) {
+    value = Store.INF_MAX
+  } else {
+    value = Store.Long.fromString((BigInt(value.toString()) + BigInt(1)).toString())
+  }
+  return key.slice(0, -1).concat({ [name]: value })
+}
+
+/**
+ * Query 类（链式范围查询构建器）
+ *
+ * 每个链式方法都返回新的 Query 实例，因此同一个查询可以被复用、派生和多次执行：
+ *   table.query().where({ uid: 1 }).range('ts', from, to).columns(['a', 'b']).reverse().limit(50)
+ */
+class Query {
+  /**
+   * 构造函数
+   * @param  {Table}  table   Table实例
+   * @param  {Object} state   查询状态
+   */
+  constructor (table, state = {}) {
+    this.table = table
+    this.state = Object.assign({
+      where: {},
+      range: null,
+      columns: null,
+      filter: null,
+      reverse: false,
+      limit: 0,
+      maxVersions: 0,
+      timeRange: null,
+      fetch: false
+    }, state)
+  }
+
+  /**
+   * 派生一个新的查询
+   * @param  {Object} state 需要修改的查询状态
+   * @return {Query}        新的查询
+   */
+  __derive (state) {
+    return new Query(this.table, Object.assign({}, this.state, state))
+  }
+
+  /**
+   * 主键前缀等值条件
+   * @param  {Object} where 主键条件（如 { uid: 1 }）
+   * @return {Query}        新的查询
+   */
+  where (where = {}) {
+    return this.__derive({ where: Object.assign({}, this.state.where, where) })
+  }
+
+  /**
+   * 主键列范围条件（包含 from，不包含 to，省略时为无穷）
+   * @param  {String} name  主键列名（where 之后的下一个主键列）
+   * @param  {*}      from  起始值
+   * @param  {*}      to    结束值
+   * @return {Query}        新的查询
+   */
+  range (name, from, to) {
+    return this.__derive({ range: { name, from, to } })
+  }
+
+  /**
+   * 需要返回的属性列
+   * @param  {Array} columns 列名数组
+   * @return {Query}         新的查询
+   */
+  columns (columns) {
+    return this.__derive({ columns: columns ? [].concat(columns) : null })
+  }
+
+  /**
+   * 属性列过滤条件（服务端过滤）
+   * @param  {Object|ColumnCondition} filter 条件对象或 ColumnCondition
+   * @return {Query}                         新的查询
+   */
+  filter (filter) {
+    return this.__derive({ filter })
+  }
+
+  /**
+   * 逆序读取（从大到小）
+   * @param  {Boolean} reverse 是否逆序
+   * @return {Query}           新的查询
+   */
+  reverse (reverse = true) {
+    return this.__derive({ reverse: !!reverse })
+  }
+
+  /**
+   * 读取方向
+   * @param  {String} direction 读取方向（forward、backward）
+   * @return {Query}            新的查询
+   */
+  direction (direction) {
+    let reverse = this.table.parseDirection(direction) === Store.Direction.BACKWARD
+    return this.__derive({ reverse })
+  }
+
+  /**
+   * 读取多个版本（结果的属性列为 [{ value, timestamp }]）
+   * @param  {Number} maxVersions 最大版本数
+   * @return {Query}              新的查询
+   */
+  versions (maxVersions) {
+    return this.__derive({ maxVersions: maxVersions > 0 ? maxVersions : 0 })
+  }
+
+  /**
+   * 读取指定版本范围（结果的属性列为 [{ value, timestamp }]）
+   * @param  {Object|Number|Date} timeRange 版本范围 { start, end }（包含 start，不包含 end）或指定版本号
+   * @return {Query}                        新的查询
+   */
+  timeRange (timeRange) {
+    return this.__derive({ timeRange })
+  }
+
+  /**
+   * 回主表读取完整数据行（只用于二级索引查询）
+   * @param  {Boolean} fetch 是否回主表读取
+   * @return {Query}         新的查询
+   */
+  fetch (fetch = true) {
+    if (fetch && typeof this.table.fetchRows !== 'function') {
+      throw new ValidationError(`表 ${this.table.tableName} 不是二级索引，不支持 fetch`)
+    }
+    return this.__derive({ fetch: !!fetch })
+  }
+
+  /**
+   * 最多返回多少行（0 为不限制）
+   * @param  {Number} limit 行数
+   * @return {Query}        新的查询
+   */
+  limit (limit) {
+    return this.__derive({ limit: limit > 0 ? limit : 0 })
+  }
+
+  /**
+   * 获取生成的 getRange 请求参数
+   * @return {Promise} promise
+   */
+  async explain () {
+    if (!this.table.isSynced) await this.table.sync()
+    return this.__buildParams(this.__buildRange())
+  }
+
+  /**
+   * 执行查询
+   * @return {Promise} promise
+   */
+  async exec () {
+    if (!this.table.isSynced) await this.table.sync()
+    let range = this.__buildRange()
+    let params = this.__buildParams(range)
+    let limit = this.state.limit
+    let rows = []
+
+    while (true) {
+      if (limit) params.limit = Math.min(limit - rows.length, MAX_LIMIT)
+      let data = await this.table.__getRangePage(params, range)
+      rows = rows.concat(data.rows || [])
+      if (!data.next_start_primary_key || (limit && rows.length >= limit)) break
+      params.inclusiveStartPrimaryKey = data.next_start_primary_key.map((item) => ({ [item.name]: item.value }))
+    }
+
+    let versioned = this.table.__isVersionedRead(this.state)
+    rows = rows.map((item) => this.table.__parseDataToRow(item, versioned))
+    return this.state.fetch ? this.table.fetchRows(rows) : rows
+  }
+
+  /**
+   * 支持 await
+   * @param  {Function} resolve 成功回调
+   * @param  {Function} reject  失败回调
+   * @return {Promise}          promise
+   */
+  then (resolve, reject) {
+    return this.exec().then(resolve, reject)
+  }
+
+  /**
+   * 检查 where 为主键前缀，range 为紧接其后的主键列（否则无法构成连续的主键范围）
+   */
+  __checkKeys () {
+    let names = this.table.primaryKeys.map((item) => item.name)
+    let keys = Object.keys(this.state.where)
+    for (let key of keys) {
+      if (names.indexOf(key) < 0) throw new ValidationError(`where 中的 ${key} 不是主键列`)
+    }
+    let missing = names.slice(0, keys.length).find((name) => keys.indexOf(name) < 0)
+    if (missing) throw new ValidationError(`where 必须为主键前缀（${names.join(', ')}），缺少主键列 ${missing}`)
+    let range = this.state.range
+    if (range && range.name !== names[keys.length]) {
+      let expected = names[keys.length]
+      throw new ValidationError(expected
+        ? `range 的列必须为 where 之后的主键列 ${expected}，实际为 ${range.name}`
+        : `where 已包含完整主键，不能再指定 range（${range.name}）`)
+    }
+  }
+
+  /**
+   * 构建读取范围 [lowerKey, upperKey)
+   * @return {Object} { lowerKey, upperKey }
+   */
+  __buildRange () {
+    let state = this.state
+    let table = this.table
+    this.__checkKeys()
+    let lower = Object.assign({}, state.where)
+    let upper = Object.assign({}, state.where)
+    let upperPadding = Store.INF_MAX
+
+    // 范围列：起始值之后补 INF_MIN；结束值存在时之后补 INF_MIN，保证不包含结束值
+    if (state.range) {
+      if (state.range.from !== undefined && state.range.from !== null) lower[state.range.name] = state.range.from
+      if (state.range.to !== undefined && state.range.to !== null) {
+        upper[state.range.name] = state.range.to
+        upperPadding = Store.INF_MIN
+      }
+    }
+
+    let lowerKey = table.__parseRowToPrimaryKey(lower, Store.INF_MIN)
+    let upperKey = table.__parseRowToPrimaryKey(upper, upperPadding)
+
+    // 上界为 where 中的完整主键时，改为紧邻其后的主键，保证包含该行
+    if (upperPadding === Store.INF_MAX && table.__isFullPrimaryKey(upper)) upperKey = nextPrimaryKey(upperKey)
+    return { lowerKey, upperKey }
+  }
+
+  /**
+   * 构建 getRange 参数
+   * @param  {Object} range 读取范围（见 __buildRange）
+   * @return {Object}       getRange 参数
+   */
+  __buildParams (range) {
+    let state = this.state
+    let table = this.table
+    let direction = state.reverse ? Store.Direction.BACKWARD : Store.Direction.FORWARD
+
+    // 逆序时返回与正序相同的行（包含 from，不包含 to），见 Table.__buildRangeKeys
+    let params = Object.assign({
+      tableName: table.tableName,
+      direction: direction
+    }, table.__buildRangeKeys(range, direction), {
+      limit: state.limit ? Math.min(state.limit, MAX_LIMIT) : MAX_LIMIT
+    })
+    if (state.columns) params.columnsToGet = state.columns
+    if (state.filter) params.columnFilter = table.parseFilter(state.filter)
+    return Object.assign(params, table.__buildVersionParams(state))
+  }
+}
+
+module.exports = Query
@@ -0,0 +1,169 @@
+/**
+ * 错误类型
+ * @type {Object}
+ */
+const ErrorKind = {
+  THROTTLING: 'throttling',
+  SERVER_BUSY: 'serverBusy',
+  TIMEOUT: 'timeout',
+  NON_RETRYABLE: 'nonRetryable'
+}
+
+/**
+ * 流控类错误码
+ * @type {Array}
+ */
+const THROTTLING_CODES = [
+  'OTSNotEnoughCapacityUnit',
+  'OTSCapacityUnitExhausted',
+  'OTSOperationThrottled',
+  'OTSQuotaExhausted',
+  'OTSTooFrequentReservedThroughputAdjustment'
+]
+
+/**
+ * 服务端繁忙类错误码
+ * @type {Array}
+ */
+const SERVER_BUSY_CODES = [
+  'OTSServerBusy',
+  'OTSPartitionUnavailable',
+  'OTSTableNotReady',
+  'OTSRowOperationConflict',
+  'OTSServerUnavailable',
+  'OTSInternalServerError',
+  500,
+  502,
+  503
+]
+
+/**
+ * 确定请求未被执行的服务端繁忙类错误码（其余错误码的写操作可能已经生效）
+ * @type {Array}
+ */
+const NOT_APPLIED_CODES = [
+  'OTSServerBusy',
+  'OTSPartitionUnavailable',
+  'OTSTableNotReady'
+]
+
+/**
+ * 超时类错误码
+ * @type {Array}
+ */
+const TIMEOUT_CODES = [
+  'OTSTimeout',
+  'NetworkingError',
+  'TimeoutError',
+  'ECONNRESET',
+  'ETIMEDOUT'
+]
+
+/**
+ * 可重复执行的读命令（超时后重试不会产生副作用）
+ * @type {Array}
+ */
+const REPEATABLE_COMMANDS = [
+  'listTable',
+  'describeTable',
+  'getRow',
+  'batchGetRow',
+  'getRange',
+  'listSearchIndex',
+  'describeSearchIndex',
+  'search'
+]
+
+/**
+ * RetryPolicy 类（Client.request 的重试策略）
+ *
+ * 自定义策略只需实现 classify、shouldRetry、getDelay 三个方法。
+ */
+class RetryPolicy {
+  /**
+   * 构造函数
+   * @param  {Object}   options             选项
+   * @param  {Number}   options.maxRetries  最大重试次数
+   * @param  {Number}   options.baseDelay   起始重试间隔（毫秒）
+   * @param  {Number}   options.maxDelay    最大重试间隔（毫秒）
+   */
+  constructor (options = {}) {
+    Object.assign(this, {
+      maxRetries: 20,
+      baseDelay: 100,
+      maxDelay: 3000
+    }, options)
+  }
+
+  /**
+   * 错误分类
+   * @param  {Error}  err 错误对象（或带 code 的行级错误）
+   * @return {String}     错误类型（见 RetryPolicy.ErrorKind）
+   */
+  classify (err) {
+    return RetryPolicy.classify(err)
+  }
+
+  /**
+   * 是否重试
+   * @param  {Error}   err      错误对象
+   * @param  {Number}  attempt  已重试次数
+   * @param  {String}  command  请求命令
+   * @return {Boolean}          是否重试
+   */
+  shouldRetry (err, attempt, command) {
+    if (attempt >= this.maxRetries) return false
+    switch (this.classify(err)) {
+      case ErrorKind.THROTTLING:
+        return true
+      case ErrorKind.SERVER_BUSY:
+        if (NOT_APPLIED_CODES.indexOf((err || {}).code) >= 0) return true
+        // 内部错误、行冲突等情况下写操作可能已经生效，只重试读操作
+        return RetryPolicy.isRepeatable(command)
+      case ErrorKind.TIMEOUT:
+        // 写操作超时后可能已经生效，只重试读操作
+        return RetryPolicy.isRepeatable(command)
+      default:
+        return false
+    }
+  }
+
+  /**
+   * 获取重试间隔（指数退避 + 随机抖动）
+   * @param  {Number} attempt 已重试次数
+   * @param  {Error}  err     错误对象
+   * @return {Number}         毫秒
+   */
+  getDelay (attempt, err) {
+    // 流控类错误的起始间隔更长
+    let base = this.classify(err) === ErrorKind.THROTTLING ? this.baseDelay * 5 : this.baseDelay
+    let limit = Math.min(this.maxDelay, base * Math.pow(2, attempt))
+    return Math.round(limit / 2 + Math.random() * limit / 2)
+  }
+
+  /**
+   * 命令是否可以重复执行（未指定命令时视为可重复）
+   * @param  {String}  command 请求命令
+   * @return {Boolean}         是否可重复
+   */
+  static isRepeatable (command) {
+    return !command || REPEATABLE_COMMANDS.indexOf(command) >= 0
+  }
+
+  /**
+   * 按错误码分类（默认分类规则）
+   * @param  {Error}  err 错误对象（或带 code 的行级错误）
+   * @return {String}     错误类型（见 RetryPolicy.ErrorKind）
+   */
+  static classify (err) {
+    let code = (err || {}).code
+    if (THROTTLING_CODES.indexOf(code) >= 0) return ErrorKind.THROTTLING
+    if (SERVER_BUSY_CODES.indexOf(code) >= 0) return ErrorKind.SERVER_BUSY
+    if (TIMEOUT_CODES.indexOf(code) >= 0) return ErrorKind.TIMEOUT
+    return ErrorKind.NON_RETRYABLE
+  }
+}
+
+RetryPolicy.ErrorKind = ErrorKind
+
+module.exports = RetryPolicy
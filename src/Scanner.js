@@ -0,0 +1,110 @@
+const { Readable } = require('stream')
+const { AbortError } = require('./Errors')
+
+/**
+ * Scanner 类（范围扫描流）
+ *
+ * 按需逐页调用 getRange，消费者读取后才会请求下一页（背压），
+ * 既是 objectMode 的 Readable 流，也可以直接用 for await 迭代。
+ */
+class Scanner extends Readable {
+  /**
+   * 构造函数
+   * @param  {Table}       table               Table实例
+   * @param  {Object}      options             扫描选项（同 Table.getRange，另支持以下选项）
+   * @param  {Boolean}     options.pages       是否按页输出（每次输出一页的行数组）
+   * @param  {Number}      options.maxRows     最多输出多少行（0 为不限制）
+   * @param  {AbortSignal} options.signal      取消信号
+   */
+  constructor (table, options = {}) {
+    super({ objectMode: true, highWaterMark: options.pages ? 1 : 16 })
+
+    this.table = table
+    this.options = options
+    this.maxRows = options.maxRows > 0 ? options.maxRows : 0
+    this.count = 0
+
+    this.__range = null
+    this.__params = null
+    this.__reading = false
+    this.__readAgain = false
+    this.__ended = false
+
+    // 取消
+    let signal = options.signal
+    if (signal) {
+      let onAbort = () => this.destroy(new AbortError('扫描已取消'))
+      if (signal.aborted) {
+        process.nextTick(onAbort)
+      } else {
+        signal.addEventListener('abort', onAbort, { once: true })
+        this.once('close', () => signal.removeEventListener('abort', onAbort))
+      }
+    }
+  }
+
+  /**
+   * 读取（由 Readable 调用）
+   */
+  _read () {
+    if (this.__ended) return
+    if (this.__reading) {
+      this.__readAgain = true
+      return
+    }
+    this.__reading = true
+    this.__readAgain = false
+    this.__fetch().then(() => {
+      this.__reading = false
+      if (this.__readAgain) this._read()
+    }, (err) => {
+      this.destroy(err)
+    })
+  }
+
+  /**
+   * 获取数据直到有输出或扫描结束
+   * @return {Promise} promise
+   */
+  async __fetch () {
+    let table = this.table
+    if (!this.__params) {
+      if (!table.isSynced) await table.sync()
+      this.__range = table.__buildRange(this.options)
+      this.__params = table.__buildGetRangeParams(this.options, this.__range)
+    }
+
+    let params = this.__params
+    let pageSize = params.limit
+
+    while (!this.destroyed) {
+      if (this.maxRows) params.limit = Math.min(pageSize, this.maxRows - this.count)
+      let data = await table.__getRangePage(params, this.__range)
+      if (this.destroyed) return
+
+      let rows = (data.rows || []).map((item) => table.__parseDataToRow(item, table.__isVersionedRead(this.options)))
+      if (this.maxRows) rows = rows.slice(0, this.maxRows - this.count)
+      this.count += rows.length
+
+      // 输出
+      if (this.options.pages) {
+        if (rows.length) this.push(rows)
+      } else {
+        rows.forEach((row) => this.push(row))
+      }
+
+      // 结束
+      if (!data.next_start_primary_key || (this.maxRows && this.count >= this.maxRows)) {
+        this.__ended = true
+        this.push(null)
+        return
+      }
+      params.inclusiveStartPrimaryKey = data.next_start_primary_key.map((item) => ({ [item.name]: item.value }))
+
+      // 本页有输出则等待下一次读取
+      if (rows.length) return
+    }
+  }
+}
+
+module.exports = Scanner
@@ -0,0 +1,453 @@
+const Store = require('tablestore')
+const Codec = require('./Codec')
+const Condition = require('./Condition')
+const { ValidationError } = require('./Errors')
+
+/**
+ * 字段类型名 => FieldType
+ * @type {Object}
+ */
+const FIELD_TYPES = {
+  'long': Store.FieldType.LONG,
+  'integer': Store.FieldType.LONG,
+  'double': Store.FieldType.DOUBLE,
+  'boolean': Store.FieldType.BOOLEAN,
+  'keyword': Store.FieldType.KEYWORD,
+  'string': Store.FieldType.KEYWORD,
+  'text': Store.FieldType.TEXT,
+  'nested': Store.FieldType.NESTED,
+  'geopoint': Store.FieldType.GEO_POINT
+}
+
+/**
+ * FieldType => 查询值的编码类型
+ * @type {Object}
+ */
+const VALUE_TYPES = {
+  [Store.FieldType.LONG]: Codec.DataType.INTEGER,
+  [Store.FieldType.DOUBLE]: Codec.DataType.DOUBLE,
+  [Store.FieldType.BOOLEAN]: Codec.DataType.BOOLEAN,
+  [Store.FieldType.KEYWORD]: Codec.DataType.STRING,
+  [Store.FieldType.TEXT]: Codec.DataType.STRING
+}
+
+/**
+ * 范围操作符
+ * @type {Array}
+ */
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte']
+
+/**
+ * 聚合类型
+ * @type {Array}
+ */
+const AGGREGATIONS = ['count', 'sum', 'avg', 'min', 'max', 'distinctCount', 'groupBy']
+
+/**
+ * Search 类（多元索引查询编译器）
+ *
+ * 将 JSON 查询表达式编译为 search 请求的 query：
+ *   { term: { status: 'active' } }                       精确匹配
+ *   { terms: { status: ['a', 'b'] } }                    匹配任意一个
+ *   { range: { age: { gte: 18, lt: 60 } } }              范围
+ *   { match: { title: 'hello world' } }                  分词匹配（也可为 { query, operator, minimumShouldMatch }）
+ *   { prefix: { name: 'ab' } }                           前缀
+ *   { bool: { must, should, mustNot, filter, minimumShouldMatch } }   组合，可任意嵌套
+ *   { matchAll: {} }                                     全部（query 为空时的默认值）
+ *
+ * 传入 encode 时，查询值会先经过 encode(name, value) 转换（如 LONG 字段的整数）。
+ */
+class Search {
+  /**
+   * 编译查询表达式
+   * @param  {Object}   query     查询表达式
+   * @param  {Function} [encode]  查询值编码函数 (name, value) => value
+   * @return {Object}             search 请求的 query { queryType, query }
+   */
+  static parseQuery (query, encode = (name, value) => value) {
+    if (!query || !Object.keys(query).length) return { queryType: Store.QueryType.MATCH_ALL_QUERY, query: {} }
+    if (!Search.isPlainObject(query)) throw new ValidationError(`查询表达式必须为对象：${Search.stringify(query)}`)
+
+    let keys = Object.keys(query)
+    if (keys.length > 1) {
+      // 多个查询条件视为 must
+      return Search.parseQuery({ bool: { must: keys.map((key) => ({ [key]: query[key] })) } }, encode)
+    }
+
+    let type = keys[0]
+    let body = query[type]
+    if (type === 'matchAll') return { queryType: Store.QueryType.MATCH_ALL_QUERY, query: {} }
+    if (type === 'bool') return Search.__parseBool(body, encode)
+
+    let { name, value } = Search.__parseField(type, body)
+    switch (type) {
+      case 'term':
+        return { queryType: Store.QueryType.TERM_QUERY, query: { fieldName: name, term: Search.__encode(name, value, encode) } }
+      case 'terms':
+        if (!(value instanceof Array) || !value.length) throw new ValidationError(`字段 ${name} 的 terms 值必须为非空数组`)
+        return { queryType: Store.QueryType.TERMS_QUERY, query: { fieldName: name, terms: value.map((item) => Search.__encode(name, item, encode)) } }
+      case 'range':
+        return { queryType: Store.QueryType.RANGE_QUERY, query: Search.__parseRange(name, value, encode) }
+      case 'match':
+        return { queryType: Store.QueryType.MATCH_QUERY, query: Search.__parseMatch(name, value) }
+      case 'prefix':
+        if (typeof value !== 'string') throw new ValidationError(`字段 ${name} 的 prefix 值必须为字符串`)
+        return { queryType: Store.QueryType.PREFIX_QUERY, query: { fieldName: name, prefix: value } }
+      default:
+        throw new ValidationError(`不支持的查询类型：${type}`)
+    }
+  }
+
+  /**
+   * 编译排序
+   * @param  {Object|Array} sort 排序（如 { age: 'desc' }、[{ age: 'desc' }, { _score: 'desc' }]，_score 为相关度，_pk 为主键）
+   * @return {Object}            search 请求的 sort（无排序时为 undefined）
+   */
+  static parseSort (sort) {
+    if (!sort) return undefined
+    let sorters = []
+    ;[].concat(sort).forEach((item) => {
+      for (let name in item) {
+        let order = Search.parseSortOrder(item[name])
+        if (name === '_score') sorters.push({ scoreSort: { order } })
+        else if (name === '_pk') sorters.push({ primaryKeySort: { order } })
+        else sorters.push({ fieldSort: { fieldName: name, order } })
+      }
+    })
+    return sorters.length ? { sorters } : undefined
+  }
+
+  /**
+   * 将排序方向转换为 SortOrder
+   * @param  {String|Number} order 排序方向（asc、desc 或 1、-1）
+   * @return {SortOrder}           SortOrder
+   */
+  static parseSortOrder (order = 'asc') {
+    switch (String(order).toLowerCase()) {
+      case 'asc':
+      case '1':
+        return Store.SortOrder.SORT_ORDER_ASC
+      case 'desc':
+      case '-1':
+        return Store.SortOrder.SORT_ORDER_DESC
+      default:
+        throw new ValidationError(`不支持的排序方向：${order}`)
+    }
+  }
+
+  /**
+   * 编译索引结构
+   *
+   *   { fields: { title: 'text', age: { type: 'long', sortAndAgg: true }, tags: { type: 'keyword', array: true } } }
+   *
+   * 字段选项：type、index、sortAndAgg、store、array、analyzer、fields（nested 的子字段）
+   *
+   * @param  {Object} schema                索引结构
+   * @param  {Object} schema.fields         字段定义 { 字段名: 类型或字段选项 }
+   * @param  {Object} schema.indexSort      预排序（同 parseSort）
+   * @param  {Array}  schema.routingFields  路由字段
+   * @return {Object}                       createSearchIndex 的 schema 参数
+   */
+  static parseSchema (schema = {}) {
+    let fields = schema.fields || {}
+    if (!Object.keys(fields).length) throw new ValidationError('索引结构未定义字段！')
+    let params = { fieldSchemas: Search.__parseFields(fields) }
+    if (schema.routingFields) params.indexSetting = { routingFields: [].concat(schema.routingFields) }
+    if (schema.indexSort) params.indexSort = Search.parseSort(schema.indexSort)
+    return params
+  }
+
+  /**
+   * 将字段类型转换为 FieldType
+   * @param  {String}    type 字段类型名
+   * @return {FieldType}      FieldType
+   */
+  static parseFieldType (type) {
+    let fieldType = FIELD_TYPES[String(type).toLowerCase().replace('_', '')]
+    if (!fieldType) throw new ValidationError(`不支持的字段类型：${type}`)
+    return fieldType
+  }
+
+  /**
+   * 获取字段查询值的编码类型
+   * @param  {Object} schema 索引结构（同 parseSchema）
+   * @param  {String} name   字段名
+   * @return {String}        数据类型（见 Codec.DataType），未知时为 null
+   */
+  static getValueType (schema, name) {
+    let field = ((schema || {}).fields || {})[name]
+    if (!field) return null
+    return VALUE_TYPES[Search.parseFieldType(typeof field === 'object' ? field.type : field)] || null
+  }
+
+  /**
+   * 计算聚合结果（在客户端对所有匹配行计算）
+   *
+   *   { total: { count: '*' }, avgAge: { avg: 'age' }, cities: { distinctCount: 'city' } }
+   *
+   * groupBy 按字段值分组，结果为 { 字段值: 行数 }；带 aggregations 时结果为 { 字段值: 子聚合结果 }：
+   *
+   *   { byCity: { groupBy: 'city', aggregations: { avgAge: { avg: 'age' } } } }
+   *
+   * @param  {Array}  rows          数据行
+   * @param  {Object} aggregations  聚合定义 { 结果名: { 聚合类型: 字段名 } }
+   * @return {Object}               聚合结果 { 结果名: 值 }
+   */
+  static aggregate (rows, aggregations) {
+    let aggregator = Search.createAggregator(aggregations)
+    aggregator.add(rows)
+    return aggregator.result()
+  }
+
+  /**
+   * 创建聚合器（逐批累加数据行，不保留数据行）
+   * @param  {Object} aggregations  聚合定义（见 Search.aggregate）
+   * @return {Object}               { add (rows), result () }
+   */
+  static createAggregator (aggregations) {
+    let states = {}
+    for (let key in aggregations) {
+      let { type, field, aggregations: children } = Search.parseAggregation(key, aggregations[key])
+      states[key] = { type, field, children, count: 0, sum: 0, min: null, max: null, distinct: type === 'distinctCount' ? new Set() : null, groups: type === 'groupBy' ? new Map() : null }
+    }
+
+    return {
+      add (rows) {
+        for (let key in states) {
+          let state = states[key]
+          for (let row of rows) {
+            let value = state.field === '*' ? row : row[state.field]
+            if (value === undefined || value === null) continue
+            state.count++
+            if (state.groups) {
+              Search.__addToGroup(state, value instanceof Buffer ? value.toString('base64') : String(value), row)
+            } else if (state.distinct) {
+              state.distinct.add(value instanceof Buffer ? value.toString('base64') : String(value))
+            } else if (state.type !== 'count') {
+              let num = Number(value)
+              state.sum += num
+              state.min = state.min === null ? num : Math.min(state.min, num)
+              state.max = state.max === null ? num : Math.max(state.max, num)
+            }
+          }
+        }
+      },
+
+      result () {
+        let result = {}
+        for (let key in states) {
+          let state = states[key]
+          switch (state.type) {
+            case 'count':
+              result[key] = state.count
+              break
+            case 'distinctCount':
+              result[key] = state.distinct.size
+              break
+            case 'sum':
+              result[key] = state.sum
+              break
+            case 'avg':
+              result[key] = state.count ? state.sum / state.count : null
+              break
+            case 'min':
+              result[key] = state.min
+              break
+            case 'max':
+              result[key] = state.max
+              break
+            case 'groupBy':
+              result[key] = {}
+              state.groups.forEach((group, name) => {
+                result[key][name] = state.children ? group.result() : group
+              })
+              break
+          }
+        }
+        return result
+      }
+    }
+  }
+
+  /**
+   * 获取聚合用到的字段（含 groupBy 的子聚合）
+   * @param  {Object} aggregations  聚合定义（见 Search.aggregate）
+   * @return {Array}                字段名
+   */
+  static aggregationFields (aggregations) {
+    let fields = []
+    for (let key in aggregations) {
+      let { field, aggregations: children } = Search.parseAggregation(key, aggregations[key])
+      let names = [field].concat(children ? Search.aggregationFields(children) : [])
+      names.forEach((name) => {
+        if (name !== '*' && fields.indexOf(name) < 0) fields.push(name)
+      })
+    }
+    return fields
+  }
+
+  /**
+   * 解析单个聚合定义
+   * @param  {String} key         结果名
+   * @param  {Object} aggregation 聚合定义 { 聚合类型: 字段名 }（groupBy 可带 aggregations）
+   * @return {Object}             { type, field, aggregations }
+   */
+  static parseAggregation (key, aggregation) {
+    let types = Object.keys(aggregation || {})
+    if (aggregation && aggregation.groupBy !== undefined) types = types.filter((type) => type !== 'aggregations')
+    if (types.length !== 1 || AGGREGATIONS.indexOf(types[0]) < 0) {
+      throw new ValidationError(`聚合 ${key} 的定义不正确，应为 { ${AGGREGATIONS.join('|')}: 字段名 }`)
+    }
+    let field = aggregation[types[0]]
+    if (field === '*' && types[0] !== 'count') throw new ValidationError(`聚合 ${key} 只有 count 支持 *`)
+
+    let children = types[0] === 'groupBy' ? aggregation.aggregations : undefined
+    if (children !== undefined && (!Search.isPlainObject(children) || !Object.keys(children).length)) {
+      throw new ValidationError(`聚合 ${key} 的 aggregations 必须为非空对象`)
+    }
+    // 提前校验子聚合的定义
+    if (children) Search.createAggregator(children)
+    return { type: types[0], field, aggregations: children }
+  }
+
+  /**
+   * 将数据行累加到所属分组
+   * @param  {Object} state 分组聚合的状态
+   * @param  {String} name  分组名（字段值）
+   * @param  {Object} row   数据行
+   */
+  static __addToGroup (state, name, row) {
+    if (!state.children) {
+      state.groups.set(name, (state.groups.get(name) || 0) + 1)
+      return
+    }
+    if (!state.groups.has(name)) state.groups.set(name, Search.createAggregator(state.children))
+    state.groups.get(name).add([row])
+  }
+
+  /**
+   * 是否为普通对象
+   * @param  {*}       value 值
+   * @return {Boolean}       是否为普通对象
+   */
+  static isPlainObject (value) {
+    return Object.prototype.toString.call(value) === '[object Object]'
+  }
+
+  /**
+   * 将值转换为用于错误信息的字符串
+   * @param  {*}      value 值
+   * @return {String}       字符串
+   */
+  static stringify (value) {
+    return Condition.stringify(value)
+  }
+
+  /**
+   * 编译 bool 查询
+   * @param  {Object}   body    { must, should, mustNot, filter, minimumShouldMatch }
+   * @param  {Function} encode  查询值编码函数
+   * @return {Object}           search 请求的 query
+   */
+  static __parseBool (body, encode) {
+    if (!Search.isPlainObject(body)) throw new ValidationError('bool 的值必须为对象')
+    let clauses = { must: 'mustQueries', should: 'shouldQueries', mustNot: 'mustNotQueries', filter: 'filterQueries' }
+    let query = {}
+    for (let key in body) {
+      if (key === 'minimumShouldMatch') continue
+      if (!clauses[key]) throw new ValidationError(`bool 不支持 ${key}`)
+      let items = [].concat(body[key])
+      if (!items.length) throw new ValidationError(`bool.${key} 不能为空`)
+      query[clauses[key]] = items.map((item) => Search.parseQuery(item, encode))
+    }
+    if (query.shouldQueries) query.minimumShouldMatch = body.minimumShouldMatch || 1
+    if (!Object.keys(query).length) throw new ValidationError('bool 至少需要一个子查询')
+    return { queryType: Store.QueryType.BOOL_QUERY, query }
+  }
+
+  /**
+   * 编译 range 查询
+   * @param  {String}   name    字段名
+   * @param  {Object}   value   { gt, gte, lt, lte }
+   * @param  {Function} encode  查询值编码函数
+   * @return {Object}           RangeQuery 参数
+   */
+  static __parseRange (name, value, encode) {
+    if (!Search.isPlainObject(value) || !Object.keys(value).length) {
+      throw new ValidationError(`字段 ${name} 的 range 值必须为 { gt, gte, lt, lte }`)
+    }
+    let query = { fieldName: name }
+    for (let op in value) {
+      if (RANGE_OPERATORS.indexOf(op) < 0) throw new ValidationError(`字段 ${name} 不支持范围操作符 ${op}`)
+    }
+    let lower = value.gte !== undefined ? 'gte' : (value.gt !== undefined ? 'gt' : null)
+    let upper = value.lte !== undefined ? 'lte' : (value.lt !== undefined ? 'lt' : null)
+    if (lower) Object.assign(query, { rangeFrom: Search.__encode(name, value[lower], encode), includeLower: lower === 'gte' })
+    if (upper) Object.assign(query, { rangeTo: Search.__encode(name, value[upper], encode), includeUpper: upper === 'lte' })
+    return query
+  }
+
+  /**
+   * 编译 match 查询
+   * @param  {String}        name  字段名
+   * @param  {String|Object} value 文本或 { query, operator, minimumShouldMatch }
+   * @return {Object}              MatchQuery 参数
+   */
+  static __parseMatch (name, value) {
+    if (typeof value === 'string') return { fieldName: name, text: value }
+    if (!Search.isPlainObject(value) || typeof value.query !== 'string') {
+      throw new ValidationError(`字段 ${name} 的 match 值必须为字符串或 { query, operator, minimumShouldMatch }`)
+    }
+    let query = { fieldName: name, text: value.query }
+    if (value.operator) query.operator = String(value.operator).toLowerCase() === 'and' ? Store.QueryOperator.AND : Store.QueryOperator.OR
+    if (value.minimumShouldMatch !== undefined) query.minimumShouldMatch = value.minimumShouldMatch
+    return query
+  }
+
+  /**
+   * 解析 { 字段名: 值 } 形式的查询体
+   * @param  {String} type 查询类型
+   * @param  {Object} body 查询体
+   * @return {Object}      { name, value }
+   */
+  static __parseField (type, body) {
+    let names = Search.isPlainObject(body) ? Object.keys(body) : []
+    if (names.length !== 1) throw new ValidationError(`${type} 查询必须为 { 字段名: 值 } 且只有一个字段：${Search.stringify(body)}`)
+    return { name: names[0], value: body[names[0]] }
+  }
+
+  /**
+   * 编码查询值
+   * @param  {String}   name    字段名
+   * @param  {*}        value   值
+   * @param  {Function} encode  查询值编码函数
+   * @return {*}                编码后的值
+   */
+  static __encode (name, value, encode) {
+    if (value === undefined || value === null) throw new ValidationError(`字段 ${name} 的查询值不能为空`)
+    return encode(name, value)
+  }
+
+  /**
+   * 编译字段定义
+   * @param  {Object} fields 字段定义
+   * @return {Array}         fieldSchemas
+   */
+  static __parseFields (fields) {
+    return Object.keys(fields).map((name) => {
+      let field = typeof fields[name] === 'object' ? fields[name] : { type: fields[name] }
+      let schema = { fieldName: name, fieldType: Search.parseFieldType(field.type) }
+      if (field.index !== undefined) schema.index = field.index
+      if (field.sortAndAgg !== undefined) schema.enableSortAndAgg = field.sortAndAgg
+      if (field.store !== undefined) schema.store = field.store
+      if (field.array !== undefined) schema.isAnArray = field.array
+      if (field.analyzer) schema.analyzer = field.analyzer
+      if (field.fields) schema.fieldSchemas = Search.__parseFields(field.fields)
+      return schema
+    })
+  }
+}
+
+Search.AGGREGATIONS = AGGREGATIONS
+
+module.exports = Search
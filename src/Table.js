@@ -1,4 +1,159 @@
 const Store = require('tablestore')
+const Query = require('./Query')
+const Scanner = require('./Scanner')
+const Condition = require('./Condition')
+const Search = require('./Search')
+const Transaction = require('./Transaction')
+const Transfer = require('./Transfer')
+const Codec = require('./Codec')
+const { ValidationError, RowNotFoundError, TableStoreError } = require('./Errors')
+
+/**
+ * 批量写每次请求的最大行数
+ * @type {Number}
+ */
+const BATCH_WRITE_LIMIT = 200
+
+/**
+ * 批量读每次请求的最大行数
+ * @type {Number}
+ */
+const BATCH_GET_LIMIT = 100
+
+/**
+ * 多元索引每次查询的最大行数
+ * @type {Number}
+ */
+const SEARCH_LIMIT = 100
+
+/**
+ * 行存在性期望 => RowExistenceExpectation
+ * @type {Object}
+ */
+const EXPECTATIONS = {
+  'ignore': Store.RowExistenceExpectation.IGNORE,
+  'exist': Store.RowExistenceExpectation.EXPECT_EXIST,
+  'notExist': Store.RowExistenceExpectation.EXPECT_NOT_EXIST
+}
+
+/**
+ * 更新操作符 => UpdateType
+ * @type {Object}
+ */
+const UPDATE_OPERATORS = {
+  '$inc': Store.UpdateType.INCREMENT,
+  '$unset': Store.UpdateType.DELETE_ALL,
+  '$deleteVersion': Store.UpdateType.DELETE
+}
+
+/**
+ * 数据类型 => 预定义列类型（DefinedColumnType，SDK 未导出 BLOB）
+ * @type {Object}
+ */
+const DEFINED_COLUMN_TYPES = {
+  [Codec.DataType.INTEGER]: Store.DefinedColumnType.DCT_INTEGER,
+  [Codec.DataType.DOUBLE]: Store.DefinedColumnType.DCT_DOUBLE,
+  [Codec.DataType.BOOLEAN]: Store.DefinedColumnType.DCT_BOOLEAN,
+  [Codec.DataType.STRING]: Store.DefinedColumnType.DCT_STRING,
+  [Codec.DataType.BINARY]: 7
+}
+
+/**
+ * 分页 token 中的类型标记 => 主键类型
+ * @type {Object}
+ */
+const TOKEN_TYPES = {
+  'b': Codec.DataType.BINARY,
+  'i': Codec.DataType.INTEGER,
+  's': Codec.DataType.STRING
+}
+
+/**
+ * 未设置 TableStore 实例时使用的默认 Codec
+ * @type {Codec}
+ */
+const DEFAULT_CODEC = new Codec()
+
+/**
+ * 是否为带版本号的单元格 { value, timestamp }
+ * @param  {*}       value 值
+ * @return {Boolean}       是否为单元格
+ */
+function isCell (value) {
+  return Condition.isPlainObject(value) && Object.keys(value).length === 2 &&
+    value.hasOwnProperty('value') && value.hasOwnProperty('timestamp')
+}
+
+/**
+ * 将数组按大小分块
+ * @param  {Array}  arr   数组
+ * @param  {Number} size  每块大小
+ * @return {Array}        分块后的数组
+ */
+function chunk (arr, size) {
+  let chunks = []
+  for (let i = 0; i < arr.length; i += size) chunks.push(arr.slice(i, i + size))
+  return chunks
+}
+
+/**
+ * 比较主键列的值（INTEGER 按数值，STRING、BINARY 按字节序）
+ * @param  {*}      a 值（Int64、String、Buffer）
+ * @param  {*}      b 值（Int64、String、Buffer）
+ * @return {Number}   -1、0、1
+ */
+function compareKeyValues (a, b) {
+  if (typeof a === 'string' || a instanceof Buffer) return Buffer.compare(Buffer.from(a), Buffer.from(b))
+  let x = BigInt(a.toString())
+  let y = BigInt(b.toString())
+  return x < y ? -1 : (x > y ? 1 : 0)
+}
+
+/**
+ * 比较数据行主键与范围主键（范围主键中可以包含 INF_MIN、INF_MAX）
+ * @param  {Array}  primaryKey 数据行主键 [{ name, value }]
+ * @param  {Array}  key        范围主键 [{ 列名: 值 }]
+ * @return {Number}            -1、0、1
+ */
+function comparePrimaryKey (primaryKey, key) {
+  for (let i = 0; i < key.length; i++) {
+    let value = key[i][primaryKey[i].name]
+    if (value === Store.INF_MIN) return 1
+    if (value === Store.INF_MAX) return -1
+    let result = compareKeyValues(primaryKey[i].value, value)
+    if (result) return result
+  }
+  return 0
+}
+
+/**
+ * 以指定并发数执行任务
+ * @param  {Array}    items       任务数据
+ * @param  {Number}   concurrency 并发数
+ * @param  {Function} fn          任务函数（返回 promise）
+ * @return {Promise}              promise
+ */
+async function eachConcurrent (items, concurrency, fn) {
+  let index = 0
+  let workers = []
+  let next = async () => {
+    while (index < items.length) {
+      let i = index++
+      await fn(items[i], i)
+    }
+  }
+  for (let i = 0; i < Math.max(1, concurrency); i++) workers.push(next())
+  await Promise.all(workers)
+}
+
+/**
+ * 等待一段时间
+ * @param  {Number} ms 毫秒
+ * @return {Promise}   promise
+ */
+function sleep (ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
 
 /**
  * Table 类
@@ -15,17 +170,29 @@ class Table {
     // tableName
     this.tableName = tableName
 
+    // 声明的选项（用于与线上表结构比较）
+    this.__options = options
+
     // options
     Object.assign(this, {
       primaryKeys: options.primaryKeys || [],
+      // 属性列类型声明 { 列名: 类型 }（类型见 Codec.DataType，也可以是 Number、String 等构造函数）
+      columns: options.columns || {},
       timeToLive: options.timeToLive || -1,
       maxVersions: options.maxVersions || 1,
       reservedRead: options.reservedRead || 0,
       reservedWrite: options.reservedWrite || 0,
       streamEnable: options.streamEnable || false,
-      streamExpirationTime: options.streamExpirationTime || 0
+      streamExpirationTime: options.streamExpirationTime || 0,
+      // 二级索引定义 [{ name, primaryKeys, definedColumns }]
+      indexes: options.indexes || [],
+      // 多元索引结构 { 索引名: schema }（schema 见 Search.parseSchema）
+      searchIndexes: options.searchIndexes || {}
     })
 
+    // Index 实例缓存
+    this.__indexes = {}
+
     // status
     this.isSynced = false
   }
@@ -48,103 +215,274 @@ class Table {
     } else {
       // 获取表 meta 数据
       let data = await this.__store.describeTable({ tableName: this.tableName })
-      this.primaryKeys = data.table_meta.primary_key
+      let primaryKeys = data.table_meta.primary_key.map((item) => Object.assign({}, item, {
+        type: Codec.normalizeType(item.type, true),
+        autoIncrement: this.__isAutoIncrement(item)
+      }))
+
+      // 声明的主键与线上表结构不一致时，写入的值会被错误编码
+      let declared = this.__options.primaryKeys || []
+      if (declared.length) {
+        let expected = this.__stringifyPrimaryKeys(declared)
+        let actual = this.__stringifyPrimaryKeys(primaryKeys)
+        if (expected !== actual) {
+          throw new ValidationError(`表 ${this.tableName} 的主键定义（${expected}）与线上表结构（${actual}）不一致！`, { code: 'PrimaryKeyMismatch' })
+        }
+      }
+
+      this.primaryKeys = primaryKeys
       this.isSynced = true
       return this
     }
   }
 
+  /**
+   * 获取表描述信息
+   * @return {Promise} promise
+   */
+  describe () {
+    return this.__store.describeTable({ tableName: this.tableName })
+  }
+
+  /**
+   * 根据定义创建数据表
+   * @return {Promise} promise
+   */
+  async create () {
+    if (!this.primaryKeys.length) throw new ValidationError(`表 ${this.tableName} 未定义主键！`)
+    await this.__store.createTable(this.__buildCreateTableParams())
+    return this
+  }
+
+  /**
+   * 根据定义更新数据表（TTL、最大版本数、预留读写吞吐量，并创建缺少的二级索引）
+   * @param  {Object} changes  差异对象（同 diff 的返回值，不传时只更新表选项）
+   * @return {Promise} promise
+   */
+  async alter (changes = {}) {
+    // 只缺少索引时不需要更新表选项
+    if (!changes.indexes || Object.keys(changes).length > 1) {
+      await this.__store.updateTable(this.__buildUpdateTableParams())
+    }
+    let missing = (changes.indexes || {}).missing || []
+    if (missing.length) {
+      // 索引引用的属性列必须先添加为主表的预定义列
+      let data = await this.describe()
+      let existing = ((data.table_meta || {}).defined_column || []).map((item) => item.name)
+      let indexes = this.indexes.filter((item) => missing.indexOf(item.name) >= 0)
+      let definedColumn = this.__buildDefinedColumns(indexes).filter((item) => existing.indexOf(item.name) < 0)
+      if (definedColumn.length) {
+        await this.__store.updateTable(Object.assign(this.__buildUpdateTableParams(), { definedColumn }))
+      }
+    }
+    for (let name of missing) {
+      await this.index(name).create()
+    }
+    return this
+  }
+
+  /**
+   * 获取二级索引
+   * @param  {String} name 索引名
+   * @return {Index}       Index实例
+   */
+  index (name) {
+    if (!this.__indexes[name]) {
+      let definition = this.indexes.find((item) => item.name === name)
+      if (!definition) throw new ValidationError(`表 ${this.tableName} 未定义索引 ${name}！`)
+      // 延迟加载，避免循环依赖
+      const Index = require('./Index')
+      this.__indexes[name] = new Index(this, definition)
+    }
+    return this.__indexes[name]
+  }
+
+  /**
+   * 比较表定义与线上表描述信息
+   * @param  {Object} data describeTable 返回的数据
+   * @return {Object}      差异对象 { 选项名: { expected, actual } }
+   */
+  diff (data) {
+    let changes = {}
+    let options = this.__options
+    let tableOptions = data.table_options || {}
+    let capacityUnit = (data.reserved_throughput_details || {}).capacity_unit || {}
+    let actual = {
+      timeToLive: tableOptions.time_to_live,
+      maxVersions: tableOptions.max_versions,
+      reservedRead: capacityUnit.read || 0,
+      reservedWrite: capacityUnit.write || 0
+    }
+
+    // 只比较显式声明的选项
+    for (let key in actual) {
+      if (!options.hasOwnProperty(key)) continue
+      if (this[key] !== actual[key]) changes[key] = { expected: this[key], actual: actual[key] }
+    }
+
+    // 主键（不可修改）
+    if (options.primaryKeys && options.primaryKeys.length) {
+      let expected = this.__stringifyPrimaryKeys(options.primaryKeys)
+      let primaryKeys = this.__stringifyPrimaryKeys((data.table_meta || {}).primary_key || [])
+      if (expected !== primaryKeys) changes.primaryKeys = { expected: expected, actual: primaryKeys }
+    }
+
+    // 二级索引（只检查缺少的索引）
+    let indexNames = (data.index_metas || []).map((item) => item.name)
+    let missing = this.indexes.map((item) => item.name).filter((name) => indexNames.indexOf(name) < 0)
+    if (missing.length) changes.indexes = { expected: this.indexes.map((item) => item.name), actual: indexNames, missing }
+
+    return changes
+  }
+
   /**
    * 批量增、删、改操作
-   * @param  {Object} batchOpData 批操作数据对象
-   * @return {Promise}            promise
+   *
+   * 按请求上限分块并发执行，可重试的行级错误会自动重试，
+   * 结果中 put/insert/update/delete 为成功的行，failed 为失败的行及错误码（条件检查失败的行 conditionFailed 为 true）。
+   * 单行的条件可以用 $expect、$where 指定（优先于 options）。
+   *
+   * @param  {Object} batchOpData           批操作数据对象 { put, insert, update, delete }
+   * @param  {Object} options               选项
+   * @param  {Number} options.chunkSize     每次请求的行数（最大 200）
+   * @param  {Number} options.concurrency   并发请求数
+   * @param  {Number} options.maxRetries    行级错误最大重试次数
+   * @param  {String} options.expect        所有行的行存在性期望（默认 put、delete 为 ignore，insert 为 notExist，update 为 exist）
+   * @param  {Object} options.where         所有行的列条件表达式
+   * @param  {Array}  options.returnColumns 更新行需要返回的列（同 update）
+   * @return {Promise}                      promise，结果为 { put, insert, update, delete, failed: [{ op, row, code, message, conditionFailed, error }] }
    */
-  async batchWrite (batchOpData) {
+  async batchWrite (batchOpData, options) {
     // 同步表 meta
     if (!this.isSynced) await this.sync();
+    // 选项
+    options = Object.assign({ chunkSize: BATCH_WRITE_LIMIT, concurrency: 4, maxRetries: 3 }, options)
     // 参数
-    let rows = this.__parseObjectToBatchWriteRows(batchOpData);
-    let params = {
-      tables: [{
-        tableName: this.tableName,
-        rows: rows
-      }]
-    }
-    // 批操作
-    let data = await this.__store.batchWriteRow(params);
-    // 获取结果
-    let arr = data.tables[this.tableName];
-    // 过滤非成功的项
-    rows = rows.filter((item, i) => { return (arr[i] || {}).isOk });
-    // 返回操作成功的项
-    return this.__parseBatchWriteRowsToObject(rows);
+    let rows = this.__parseObjectToBatchWriteRows(batchOpData, options);
+    let succeeded = []
+    let failed = []
+
+    // 分块批操作
+    let policy = this.__store.retryPolicy
+    await eachConcurrent(chunk(rows, Math.min(options.chunkSize, BATCH_WRITE_LIMIT)), options.concurrency, async (pending) => {
+      for (let retries = 0, delay = 0; pending.length; retries++) {
+        if (retries) await sleep(delay)
+        let data = await this.__store.batchWriteRow(Object.assign({
+          tables: [{ tableName: this.tableName, rows: pending }]
+        }, this.__buildTransactionParams(options)));
+        // 获取结果（按请求顺序返回）
+        let arr = data.tables || [];
+        let retryRows = []
+        pending.forEach((item, i) => {
+          let result = arr[i] || {}
+          let err = { code: result.errorCode, message: result.errorMessage }
+          if (result.isOk) {
+            item.__result = result
+            succeeded.push(item)
+          } else if (retries < options.maxRetries && policy.shouldRetry(err, retries, 'batchWriteRow')) {
+            delay = Math.max(delay, policy.getDelay(retries, err))
+            retryRows.push(item)
+          } else {
+            failed.push({ item, result })
+          }
+        })
+        pending = retryRows
+      }
+    })
+
+    // 返回操作成功的项（保持原有顺序）与失败的项
+    succeeded.sort((a, b) => a.__index - b.__index)
+    let result = this.__parseBatchWriteRowsToObject(succeeded);
+    result.failed = failed.sort((a, b) => a.item.__index - b.item.__index).map(({ item, result }) => ({
+      op: item.__op.toLowerCase(),
+      row: item.__row,
+      code: result.errorCode,
+      message: result.errorMessage,
+      conditionFailed: result.errorCode === 'OTSConditionCheckFail',
+      error: TableStoreError.from({ code: result.errorCode, message: result.errorMessage })
+    }))
+    return result
   }
 
   /**
    * 保存一条数据（存在则更新）
    * @param  {Object} row 新数据行
-   * @return {Promise}    promise
+   * @param  {Object} options          条件写选项（条件检查失败时抛出 ConditionCheckFailedError）
+   * @param  {String} options.expect   行存在性期望：exist、notExist、ignore（默认为 ignore）
+   * @param  {Object} options.where    列条件表达式（语法见 Condition）
+   * @return {Promise}    promise，结果为数据行（包含服务端生成的自增主键）
    */
-  async put (row) {
-    if (!row) return Promise.reject('参数无效');
+  async put (row, options) {
+    if (!row) throw new ValidationError('参数无效');
     // 同步表 meta
     if (!this.isSynced) await this.sync();
     // 单条新增
-    let params = this.__buildPutRowParams(row);
-    await this.__store.putRow(params);
-    return row;
+    let params = this.__buildPutRowParams(row, this.__parseWriteOptions(row, options));
+    Object.assign(params, this.__buildTransactionParams(options))
+    let data = await this.__store.putRow(params);
+    return this.__mergeReturnedPrimaryKey(row, data.row);
   }
 
   /**
    * 保存多条数据（存在则更新）
    * @param  {Array} rows  新数据行数组
-   * @return {Promise}     promise
+   * @param  {Object} options 选项（同 batchWrite）
+   * @return {Promise}     promise，结果为 { rows, failed }
    */
-  async batchPut (rows) {
-    if (!rows || !rows.length) return Promise.reject('参数无效');
+  async batchPut (rows, options) {
+    if (!rows || !rows.length) throw new ValidationError('参数无效');
     // 批量新增
-    let data = await this.batchWrite({ put: rows });
-    return data.put;
+    let data = await this.batchWrite({ put: rows }, options);
+    return { rows: data.put, failed: data.failed };
   }
 
   /**
    * 新增一条数据
    * @param  {Object} row 新数据行
-   * @return {Promise}    promise
+   * @param  {Object} options          条件写选项（条件检查失败时抛出 ConditionCheckFailedError）
+   * @param  {String} options.expect   行存在性期望：exist、notExist、ignore（默认为 notExist）
+   * @param  {Object} options.where    列条件表达式（语法见 Condition）
+   * @return {Promise}    promise，结果为数据行（包含服务端生成的自增主键）
    */
-  async insert (row) {
-    if (!row) return Promise.reject('参数无效');
+  async insert (row, options) {
+    if (!row) throw new ValidationError('参数无效');
     // 同步表 meta
     if (!this.isSynced) await this.sync();
     // 单条新增
-    let params = this.__buildInsertRowParams(row)
-    await this.__store.putRow(params);
-    return row;
+    let params = this.__buildInsertRowParams(row, this.__parseWriteOptions(row, options))
+    Object.assign(params, this.__buildTransactionParams(options))
+    let data = await this.__store.putRow(params);
+    return this.__mergeReturnedPrimaryKey(row, data.row);
   }
 
   /**
    * 新增多条数据
    * @param  {Array} rows  新数据行数组
-   * @return {Promise}     promise
+   * @param  {Object} options 选项（同 batchWrite）
+   * @return {Promise}     promise，结果为 { rows, failed }
    */
-  async batchInsert (rows) {
-    if (!rows || !rows.length) return Promise.reject('参数无效');
+  async batchInsert (rows, options) {
+    if (!rows || !rows.length) throw new ValidationError('参数无效');
     // 批量新增
-    let data = await this.batchWrite({ insert: rows });
-    return data.insert;
+    let data = await this.batchWrite({ insert: rows }, options);
+    return { rows: data.insert, failed: data.failed };
   }
 
   /**
    * 删除一条数据
    * @param  {Object} row 待删除的数据行
+   * @param  {Object} options          条件写选项（条件检查失败时抛出 ConditionCheckFailedError）
+   * @param  {String} options.expect   行存在性期望：exist、notExist、ignore（默认为 ignore）
+   * @param  {Object} options.where    列条件表达式（语法见 Condition）
    * @return {Promise}    promise
    */
-  async delete (row) {
-    if (!row) return Promise.reject('参数无效');
+  async delete (row, options) {
+    if (!row) throw new ValidationError('参数无效');
     // 同步表 meta
     if (!this.isSynced) await this.sync();
     // 单条删除
-    let params = this.__buildDeleteRowParams(row);
+    let params = this.__buildDeleteRowParams(row, this.__parseWriteOptions(row, options));
+    Object.assign(params, this.__buildTransactionParams(options))
     await this.__store.deleteRow(params);
     return row;
   }
@@ -152,50 +490,69 @@ class Table {
   /**
    * 删除多条数据
    * @param  {Array} rows 待删除的数据行数组
-   * @return {Promise}    promise
+   * @param  {Object} options 选项（同 batchWrite）
+   * @return {Promise}    promise，结果为 { rows, failed }
    */
-  async batchDelete (rows) {
-    if (!rows || !rows.length) return Promise.reject('参数无效');
+  async batchDelete (rows, options) {
+    if (!rows || !rows.length) throw new ValidationError('参数无效');
     // 批量删除
-    let data = await this.batchWrite({ delete: rows });
-    return data.delete;
+    let data = await this.batchWrite({ delete: rows }, options);
+    return { rows: data.delete, failed: data.failed };
   }
 
   /**
-   * 更新一条或多条数据
-   * @param  {Object|Array} row 待更新的数据行
-   * @return {Promise}      promise
+   * 更新一条数据
+   *
+   * 普通列为覆盖写入，另支持更新操作符：
+   *   { $inc: { views: 1 } }                 原子加（负数为减）
+   *   { $unset: ['tmp'] }                    删除列的所有版本
+   *   { $deleteVersion: { col: ts } }        删除列的指定版本（ts 可为数组）
+   *
+   * @param  {Object} row                     待更新的数据行（带主键）
+   * @param  {Object} options                 选项（条件检查失败时抛出 ConditionCheckFailedError）
+   * @param  {String} options.expect          行存在性期望：exist、notExist、ignore（默认为 exist）
+   * @param  {Object} options.where           列条件表达式（语法见 Condition）
+   * @param  {Array}  options.returnColumns   需要返回的原子加列（返回更新后的数据行）
+   * @return {Promise}                        promise，指定 returnColumns 时结果为数据行
    */
-  async update (row) {
-    if (!row) return Promise.reject('参数无效');
+  async update (row, options) {
+    if (!row) throw new ValidationError('参数无效');
     // 同步表 meta
     if (!this.isSynced) await this.sync();
     // 单条更新
-    let params = this.__buildUpdateRowParams(row);
+    options = this.__parseWriteOptions(row, options)
+    let params = this.__buildUpdateRowParams(row, options);
+    Object.assign(params, this.__buildTransactionParams(options))
     let data = await this.__store.updateRow(params);
-    return data;
+    if (!options.returnColumns) return data;
+    return Object.assign(this.__parseParamsToRow({ primaryKey: params.primaryKey }), this.__parseDataToRow(data.row || {}));
   }
 
   /**
    * 更新多条数据
    * @param  {Object|Array} rows 待更新的数据行数组
-   * @return {Promise}     promise
+   * @param  {Object} options 选项（同 batchWrite）
+   * @return {Promise}     promise，结果为 { rows, failed }
    */
-  async batchUpdate (rows) {
-    if (!rows || rows.length === 0) return Promise.reject('参数无效');
+  async batchUpdate (rows, options) {
+    if (!rows || rows.length === 0) throw new ValidationError('参数无效');
     // 批量更新
-    let data = await this.batchWrite({ update: rows });
-    return data;
+    let data = await this.batchWrite({ update: rows }, options);
+    return { rows: data.update, failed: data.failed };
   }
 
   /**
    * 根据主键获取一条数据
    * @param  {Object} row         带主键的行
    * @param  {Object} options     选项
+   * @param  {Object} options.filter  属性列过滤条件（不满足时返回 null）
+   * @param  {Boolean} options.rejectOnEmpty  数据不存在时抛出 RowNotFoundError（默认返回 null）
+   * @param  {Number} options.maxVersions  读取的最大版本数（指定时属性列为 [{ value, timestamp }]）
+   * @param  {Object} options.timeRange    读取的版本范围 { start, end } 或指定版本号（指定时属性列为 [{ value, timestamp }]）
    * @return {Promise}            promise
    */
   async get (row, options) {
-    if (!row) return Promise.reject('参数无效');
+    if (!row) throw new ValidationError('参数无效');
     // 同步表 meta
     if (!this.isSynced) await this.sync();
 
@@ -207,56 +564,102 @@ class Table {
       tableName: this.tableName,
       primaryKey: this.__parseRowToPrimaryKey(row, ''),
       startColumn: options.startColumn,
-      endColumn: options.endColumn
+      endColumn: options.endColumn,
+      columnFilter: this.parseFilter(options.filter)
     }
+    Object.assign(params, this.__buildVersionParams(options), this.__buildTransactionParams(options))
 
     // getRow
     let data = await this.__store.getRow(params);
-    row = data.row;
-    if (Object.keys(row).length === 0) return null;
-    return this.__parseDataToRow(row);
+    if (Object.keys(data.row).length === 0) {
+      if (options.rejectOnEmpty) throw new RowNotFoundError(`表 ${this.tableName} 中不存在该数据行`)
+      return null;
+    }
+    return this.__parseDataToRow(data.row, this.__isVersionedRead(options));
   }
 
   /**
    * 根据主键集合获取多条数据
+   *
+   * 按请求上限分块并发执行，可重试的行级错误会自动重试，不存在的行不返回。
+   *
    * @param  {Object} rows        带主键的行数组
    * @param  {Object} options     选项
-   * @return {Promise}            promise
+   * @param  {Object} options.filter        属性列过滤条件（不满足的行不返回）
+   * @param  {Number} options.chunkSize     每次请求的行数（最大 100）
+   * @param  {Number} options.concurrency   并发请求数
+   * @param  {Number} options.maxRetries    行级错误最大重试次数
+   * @param  {Number} options.maxVersions   读取的最大版本数（同 get）
+   * @param  {Object} options.timeRange     读取的版本范围（同 get）
+   * @return {Promise}            promise，结果为 { rows, failed: [{ row, code, message, error }] }
    */
   async batchGet (rows, options) {
-    if (!rows || !rows.length) return Promise.reject('参数无效');
+    if (!rows || !rows.length) throw new ValidationError('参数无效');
     // 同步表 meta
     if (!this.isSynced) await this.sync();
 
     // options
-    options = options || {}
+    options = Object.assign({ chunkSize: BATCH_GET_LIMIT, concurrency: 4, maxRetries: 3 }, options)
+    let columnFilter = this.parseFilter(options.filter)
+    let versionParams = this.__buildVersionParams(options)
+    let versioned = this.__isVersionedRead(options)
+    let items = rows.map((row, index) => ({ row, index }))
+    let succeeded = []
+    let failed = []
 
-    // params
-    let params = {
-      tables: [{
-        tableName: this.tableName,
-        primaryKey: rows.map(row => this.__parseRowToPrimaryKey(row, '')),
-        startColumn: options.startColumn,
-        endColumn: options.endColumn
-      }]
-    }
+    // 分块批量读
+    let policy = this.__store.retryPolicy
+    await eachConcurrent(chunk(items, Math.min(options.chunkSize, BATCH_GET_LIMIT)), options.concurrency, async (pending) => {
+      for (let retries = 0, delay = 0; pending.length; retries++) {
+        if (retries) await sleep(delay)
+        let data = await this.__store.batchGetRow(Object.assign({
+          tables: [Object.assign({
+            tableName: this.tableName,
+            primaryKey: pending.map((item) => this.__parseRowToPrimaryKey(item.row, '')),
+            startColumn: options.startColumn,
+            endColumn: options.endColumn,
+            columnFilter: columnFilter
+          }, versionParams)]
+        }, this.__buildTransactionParams(options)));
+        let arr = data.tables[0] || [];
+        let retryItems = []
+        pending.forEach((item, i) => {
+          let result = arr[i] || {}
+          let err = { code: result.errorCode, message: result.errorMessage }
+          if (result.isOk) {
+            if (result.primaryKey) succeeded.push({ index: item.index, data: result })
+          } else if (retries < options.maxRetries && policy.shouldRetry(err, retries, 'batchGetRow')) {
+            delay = Math.max(delay, policy.getDelay(retries, err))
+            retryItems.push(item)
+          } else {
+            failed.push({ index: item.index, row: item.row, code: result.errorCode, message: result.errorMessage })
+          }
+        })
+        pending = retryItems
+      }
+    })
 
-    // getRow
-    let data = await this.__store.batchGetRow(params);
-    let arr = data.tables[0] || [];
-    if (!arr.length) return arr;
-    // parse
-    arr = arr.filter((item) => item.primaryKey);
-    return arr.map((item) => this.__parseDataToRow(item));
+    // parse（保持原有顺序）
+    let byIndex = (a, b) => a.index - b.index
+    return {
+      rows: succeeded.sort(byIndex).map((item) => this.__parseDataToRow(item.data, versioned)),
+      failed: failed.sort(byIndex).map(({ row, code, message }) => ({
+        row, code, message, error: TableStoreError.from({ code, message })
+      }))
+    }
   }
 
   /**
    * 读取指定主键范围内的数据
    * @param  {Object} options     选项
-   * @param  {Object} options.startRow      起始主键行
-   * @param  {Object} options.endRow        结束主键行
+   * @param  {Object} options.startRow      起始主键行（范围下界）
+   * @param  {Object} options.endRow        结束主键行（范围上界）
    * @param  {Object} options.startColumn   起始属性列
    * @param  {Object} options.endColumn     结束属性列
+   * @param  {String} options.direction     读取方向：forward（默认）、backward（从上界向下界逆序读取，结果与正序相同）
+   * @param  {Object} options.filter        属性列过滤条件
+   * @param  {Number} options.maxVersions   读取的最大版本数（同 get）
+   * @param  {Object} options.timeRange     读取的版本范围（同 get）
    * @return {Promise}            promise
    */
   async getRange (options) {
@@ -264,47 +667,86 @@ class Table {
     if (!this.isSynced) await this.sync();
 
     // options
-    options = options || { startRow: {}, __rows: [] };
-    options.startRow = options.startRow || {};
-    options.__rows = options.__rows || [];
+    options = options || {}
 
-    // params
-    let params = {
-      tableName: this.tableName,
-      direction: Store.Direction.FORWARD,
-      inclusiveStartPrimaryKey: this.__parseRowToPrimaryKey(options.startRow, Store.INF_MIN),
-      exclusiveEndPrimaryKey: this.__parseRowToPrimaryKey(options.endRow, Store.INF_MAX),
-      startColumn: options.startColumn,
-      endColumn: options.endColumn,
-      limit: 5000
+    // 条件包含完整主键时直接读取单行
+    if (!options.startRow && !options.endRow && this.__isFullPrimaryKey(options.where)) {
+      let row = await this.get(options.where, options)
+      return row ? [row] : []
     }
 
-    try {
-      // 异步递归获取
-      let data = await this.__store.getRange(params);
-      options.__rows = options.__rows.concat(data.rows);
-      if (data.next_start_primary_key) {
-        data.next_start_primary_key.forEach((item) => { options.startRow[item.name] = item.value });
-        return this.getRange(options);
-      } else {
-        return options.__rows.map((item) => this.__parseDataToRow(item));
-      }
-    } catch (err) {
-      if (err.code === 400) {
-        return []
-      }
+    // params
+    let range = this.__buildRange(options)
+    let params = this.__buildGetRangeParams(options, range)
+    let rows = []
+
+    // 逐页获取
+    while (true) {
+      let data = await this.__getRangePage(params, range);
+      rows = rows.concat(data.rows);
+      if (!data.next_start_primary_key) break
+      params.inclusiveStartPrimaryKey = data.next_start_primary_key.map((item) => ({ [item.name]: item.value }))
     }
+    return rows.map((item) => this.__parseDataToRow(item, this.__isVersionedRead(options)));
   }
 
   /**
-   * 读取指定主键范围内的数据
+   * 获取分区内最新（主键最大）的 n 条数据
+   * @param  {Object} where       带分区键的条件
+   * @param  {Number} n           条数
+   * @return {Promise}            promise
+   */
+  latest (where, n = 1) {
+    return this.query().where(where).reverse().limit(n).exec()
+  }
+
+  /**
+   * 流式扫描指定主键范围内的数据（逐页请求，不缓存全部数据）
+   * @param  {Object}      options           选项（同 getRange）
+   * @param  {Object}      options.where     带分区键的条件（未指定 startRow/endRow 时使用）
+   * @param  {Number}      options.limit     每次请求的行数
+   * @param  {Boolean}     options.pages     是否按页输出
+   * @param  {Number}      options.maxRows   最多输出多少行
+   * @param  {AbortSignal} options.signal    取消信号
+   * @return {Scanner}                       可读流（支持 for await 迭代）
+   */
+  scan (options) {
+    return new Scanner(this, options)
+  }
+
+  /**
+   * 导出主键范围内的数据（逐页读取，不缓存全部数据）
+   * @param  {Writable} stream   可写流
+   * @param  {Object}   options  选项（format、where、columns、filter、onProgress 等，见 Transfer.export）
+   * @return {Promise}           promise，结果为 { total }
+   */
+  export (stream, options) {
+    return new Transfer(this).export(stream, options)
+  }
+
+  /**
+   * 从流中导入数据（分块批量写入）
+   * @param  {Readable} stream   可读流
+   * @param  {Object}   options  选项（format、mode、concurrency、onProgress 等，见 Transfer.import）
+   * @return {Promise}           promise，结果为 { total, written, failed }
+   */
+  import (stream, options) {
+    return new Transfer(this).import(stream, options)
+  }
+
+  /**
+   * 分页读取指定主键范围内的数据
    * @param  {Object} options              查询选项
    * @param  {Object} options.where        带分区键的条件
    * @param  {Number} options.limit        每页多少条
-   * @param  {Number} options.page         获取第几页
-   * @param  {String} options.startColumn  获取第几页
-   * @param  {String} options.endColumn    获取第几页
-   * @return {Promise}             promise
+   * @param  {String} options.after        上一页返回的 nextToken（获取下一页）
+   * @param  {String} options.startColumn  起始属性列
+   * @param  {String} options.endColumn    结束属性列
+   * @param  {String} options.direction    读取方向：forward（默认）、backward
+   * @param  {Object} options.filter       属性列过滤条件
+   * @param  {Number} options.maxVersions  读取的最大版本数（同 get）
+   * @param  {Object} options.timeRange    读取的版本范围（同 get）
+   * @return {Promise}             promise，结果为 { rows, nextToken }，nextToken 为 null 时没有下一页
    */
   async select (options) {
     // 同步表 meta
@@ -314,101 +756,487 @@ class Table {
     options = Object.assign({
       where: {},
       limit: 10,
-      page: 1,
+      after: null,
       startColumn: null,
       endColumn: null
     }, options)
 
-    let page = options.page <= 0 ? 1 : options.page
-    let isFirst = (page === 1)
-    let offset = (page - 1) * options.limit
+    // 条件包含完整主键时直接读取单行
+    if (this.__isFullPrimaryKey(options.where)) {
+      let row = options.after ? null : await this.get(options.where, options)
+      return { rows: row ? [row] : [], nextToken: null }
+    }
 
     // params
-    let params = {
+    let range = this.__buildRange(options)
+    let params = this.__buildGetRangeParams(options, range)
+    if (options.after) params.inclusiveStartPrimaryKey = this.__decodeToken(options.after)
+
+    // 获取分页数据
+    let data = await this.__getRangePage(params, range)
+    return {
+      rows: (data.rows || []).map((item) => this.__parseDataToRow(item, this.__isVersionedRead(options))),
+      nextToken: data.next_start_primary_key ? this.__encodeToken(data.next_start_primary_key) : null
+    }
+  }
+
+  /**
+   * 创建链式范围查询
+   * @return {Query} Query实例
+   */
+  query () {
+    return new Query(this)
+  }
+
+  // ================ 局部事务 ================
+
+  /**
+   * 在分区键范围内执行局部事务
+   *
+   * 回调中通过 tx 读写（get、batchGet、getRange、put、insert、update、delete、batchWrite），
+   * 回调正常结束时提交，抛出错误时回滚并重新抛出该错误。
+   *
+   * @param  {*}        partitionKey  分区键的值（或 { 分区键名: 值 }）
+   * @param  {Function} fn            事务回调 async (tx) => {}
+   * @return {Promise}                promise，结果为回调的返回值
+   */
+  async transaction (partitionKey, fn) {
+    if (typeof fn !== 'function') throw new ValidationError('事务回调必须为函数')
+    // 同步表 meta
+    if (!this.isSynced) await this.sync()
+
+    let pk = this.primaryKeys[0]
+    let value = Condition.isPlainObject(partitionKey) ? partitionKey[pk.name] : partitionKey
+    if (value === undefined || value === null) throw new ValidationError(`事务需要指定分区键 ${pk.name} 的值`)
+
+    let data = await this.__store.startLocalTransaction({
       tableName: this.tableName,
-      direction: Store.Direction.FORWARD,
-      inclusiveStartPrimaryKey: this.__parseRowToPrimaryKey(options.where, Store.INF_MIN),
-      exclusiveEndPrimaryKey: this.__parseRowToPrimaryKey(options.where, Store.INF_MAX),
-      startColumn: isFirst ? options.startColumn : '_',
-      endColumn: isFirst ? options.endColumn : '__',
-      limit: isFirst ? options.limit : offset
+      primaryKey: [{ [pk.name]: this.__codec.encodePrimaryKey(pk.name, value, pk.type) }]
+    })
+    let tx = new Transaction(this, { [pk.name]: value }, data.transactionId)
+
+    let result
+    try {
+      result = await fn(tx)
+      await tx.commit()
+    } catch (err) {
+      // 回滚失败时保留原始错误（事务超时后服务端会自动回滚）
+      if (tx.state === 'active') await tx.abort().catch(() => {})
+      throw err
     }
+    return result
+  }
 
-    // 获取分页数据
-    return this.__store.getRange(params).then((data) => {
-      if (isFirst) {
-        // 获取首页数据
-        return data.rows
-      } else if (data.next_start_primary_key) {
-        // 获取非首页数据
-        params.startColumn = options.startColumn
-        params.endColumn = options.endColumn
-        params.limit = options.limit
-        params.inclusiveStartPrimaryKey = data.next_start_primary_key.map((item) => ({[item.name]: item.value}))
-        return this.__store.getRange(params).then((data) => (data.rows || []))
-      } else {
-        // 获取的页码超过总页数
-        return []
-      }
-    }).then((rows) => {
-      return rows.map((item) => this.__parseDataToRow(item))
-    }).catch(async (err) => {
-      if (err.code === 400) {
-        let row = await this.get(options.where)
-        if (row) {
-          return [row]
-        } else {
-          return null
-        }
-      }
+  // ================ 多元索引 ================
+
+  /**
+   * 创建多元索引
+   * @param  {String} name    索引名
+   * @param  {Object} schema  索引结构（见 Search.parseSchema，默认为 searchIndexes 中声明的结构）
+   * @return {Promise}        promise
+   */
+  async createSearchIndex (name, schema = this.searchIndexes[name]) {
+    if (!schema) throw new ValidationError(`表 ${this.tableName} 未声明多元索引 ${name} 的结构！`)
+    await this.__store.createSearchIndex({
+      tableName: this.tableName,
+      indexName: name,
+      schema: Search.parseSchema(schema)
     })
+    this.searchIndexes[name] = schema
+    return this
+  }
+
+  /**
+   * 获取多元索引描述信息
+   * @param  {String} name 索引名
+   * @return {Promise}     promise
+   */
+  describeSearchIndex (name) {
+    return this.__store.describeSearchIndex({ tableName: this.tableName, indexName: name })
+  }
+
+  /**
+   * 删除多元索引
+   * @param  {String} name 索引名
+   * @return {Promise}     promise
+   */
+  async deleteSearchIndex (name) {
+    await this.__store.deleteSearchIndex({ tableName: this.tableName, indexName: name })
+    delete this.searchIndexes[name]
+    return this
+  }
+
+  /**
+   * 获取表上的多元索引名
+   * @return {Promise} promise，结果为索引名数组
+   */
+  async listSearchIndexes () {
+    let data = await this.__store.listSearchIndex({ tableName: this.tableName })
+    return (data.indices || []).map((item) => item.index_name)
+  }
+
+  /**
+   * 多元索引查询
+   * @param  {Object}       options               选项
+   * @param  {String}       options.index         索引名（只声明了一个多元索引时可省略）
+   * @param  {Object}       options.query         查询表达式（见 Search.parseQuery）
+   * @param  {Object|Array} options.sort          排序（见 Search.parseSort）
+   * @param  {Number}       options.limit         返回行数（最大 100）
+   * @param  {Number}       options.offset        跳过的行数
+   * @param  {String}       options.after         上一页返回的 nextToken
+   * @param  {Array}        options.columns       需要返回的属性列（默认全部，[] 为只返回主键）
+   * @param  {Boolean}      options.total         是否返回匹配的总行数
+   * @param  {Object}       options.aggregations  聚合（见 Search.aggregate，会读取所有匹配行）
+   * @return {Promise}                            promise，结果为 { rows, nextToken, total, aggregations }
+   */
+  async search (options = {}) {
+    let data = await this.__store.search(this.__buildSearchParams(options))
+    let result = {
+      rows: (data.rows || []).map((item) => this.__parseDataToRow(item)),
+      nextToken: data.nextToken && data.nextToken.length ? Buffer.from(data.nextToken).toString('base64') : null
+    }
+    if (data.totalCounts !== undefined) result.total = Number(data.totalCounts)
+    if (options.aggregations) result.aggregations = await this.__searchAggregations(options)
+    return result
+  }
+
+  /**
+   * 分页读取所有匹配行并计算聚合（逐页累加，不保留数据行）
+   * @param  {Object} options 选项（同 search）
+   * @return {Promise}        promise，结果为聚合结果
+   */
+  async __searchAggregations (options) {
+    let fields = Search.aggregationFields(options.aggregations)
+    let aggregator = Search.createAggregator(options.aggregations)
+    let after = null
+    do {
+      let params = this.__buildSearchParams({
+        index: options.index, query: options.query, columns: fields, limit: SEARCH_LIMIT, after
+      })
+      let data = await this.__store.search(params)
+      aggregator.add((data.rows || []).map((item) => this.__parseDataToRow(item)))
+      after = data.nextToken && data.nextToken.length ? data.nextToken : null
+    } while (after)
+    return aggregator.result()
+  }
+
+  /**
+   * 构建 search 参数
+   * @param  {Object} options 选项（同 search）
+   * @return {Object}         search 参数
+   */
+  __buildSearchParams (options) {
+    let indexName = options.index
+    if (!indexName) {
+      let names = Object.keys(this.searchIndexes)
+      if (names.length !== 1) throw new ValidationError(`表 ${this.tableName} 的多元索引查询需要指定 index`)
+      indexName = names[0]
+    }
+
+    // 按索引结构编码查询值，结构未声明时按属性列类型编码
+    let schema = this.searchIndexes[indexName]
+    let encode = (name, value) => {
+      let type = Search.getValueType(schema, name)
+      return type ? this.__codec.encodeColumn(name, value, type) : this.__encodeColumn(name, value)
+    }
+
+    let searchQuery = {
+      offset: options.offset || 0,
+      limit: Math.min(options.limit || 10, SEARCH_LIMIT),
+      query: Search.parseQuery(options.query, encode),
+      getTotalCount: !!options.total
+    }
+    // 使用 token 翻页时排序由 token 决定
+    if (options.after) {
+      searchQuery.token = Buffer.isBuffer(options.after) ? options.after : Buffer.from(String(options.after), 'base64')
+    } else {
+      searchQuery.sort = Search.parseSort(options.sort)
+    }
+
+    let columns = options.columns
+    let columnToGet = { returnType: Store.ColumnReturnType.RETURN_ALL }
+    if (columns && !columns.length) columnToGet = { returnType: Store.ColumnReturnType.RETURN_NONE }
+    else if (columns) columnToGet = { returnType: Store.ColumnReturnType.RETURN_SPECIFIED, returnNames: [].concat(columns) }
+
+    return { tableName: this.tableName, indexName, searchQuery, columnToGet }
   }
 
   /**
-   * 验证一行数据是否为该表的有效数据
+   * 判断条件是否包含完整主键
+   * @param  {Object}  where 条件
+   * @return {Boolean}       是否包含完整主键
+   */
+  __isFullPrimaryKey (where) {
+    if (!where || !this.primaryKeys.length) return false
+    return this.primaryKeys.every((item) => where.hasOwnProperty(item.name))
+  }
+
+  /**
+   * 验证一行数据是否为该表的有效数据（主键齐全，且各列的值符合主键类型与声明的列类型）
    * @param  {Object} row 数据行
    * @return {Boolean}    是否有效
    */
   validateRow (row) {
     if (!row) return false
-    let result = true
-    this.primaryKeys.forEach((item) => {
-      if (!row.hasOwnProperty(item.name)) {
-        result = false
-        return false
+    let hasPrimaryKey = this.primaryKeys.every((item) => {
+      let value = row[item.name]
+      return this.__isAutoIncrement(item) || (value !== undefined && value !== null)
+    })
+    if (!hasPrimaryKey) return false
+    try {
+      this.__parseRowToPrimaryKey(row, undefined, true)
+      this.__parseRowToAttributeColumns(row)
+    } catch (err) {
+      if (err instanceof ValidationError) return false
+      throw err
+    }
+    return true
+  }
+
+  // ================ 构建 createTable/updateTable 参数 ================
+
+  /**
+   * 构建 createTable 参数
+   * @return {Object}             createTable 参数
+   */
+  __buildCreateTableParams () {
+    let params = {
+      tableMeta: {
+        tableName: this.tableName,
+        primaryKey: this.primaryKeys.map((item) => {
+          let pk = { name: item.name, type: Codec.normalizeType(item.type, true) || item.type }
+          if (this.__isAutoIncrement(item)) pk.option = 'AUTO_INCREMENT'
+          return pk
+        })
+      },
+      reservedThroughput: {
+        capacityUnit: { read: this.reservedRead, write: this.reservedWrite }
+      },
+      tableOptions: {
+        timeToLive: this.timeToLive,
+        maxVersions: this.maxVersions
+      }
+    }
+    if (this.streamEnable) {
+      params.streamSpecification = {
+        enableStream: true,
+        expirationTime: this.streamExpirationTime
+      }
+    }
+    if (this.indexes.length) {
+      params.tableMeta.definedColumn = this.__buildDefinedColumns()
+      params.indexMetas = this.indexes.map((item) => this.index(item.name).toIndexMeta())
+    }
+    return params
+  }
+
+  /**
+   * 构建预定义列（二级索引引用的属性列，类型取自 columns 声明）
+   * @param  {Array} indexes      索引定义（默认为所有索引）
+   * @return {Array}              预定义列 [{ name, type }]
+   */
+  __buildDefinedColumns (indexes = this.indexes) {
+    let pkNames = this.primaryKeys.map((item) => item.name)
+    let names = []
+    indexes.forEach((item) => {
+      [].concat(item.primaryKeys || [], item.definedColumns || []).forEach((name) => {
+        if (pkNames.indexOf(name) < 0 && names.indexOf(name) < 0) names.push(name)
+      })
+    })
+    return names.map((name) => {
+      let type = DEFINED_COLUMN_TYPES[Codec.normalizeType(this.columns[name])]
+      if (!type) throw new ValidationError(`表 ${this.tableName} 的索引列 ${name} 未在 columns 中声明类型！`)
+      return { name, type }
+    })
+  }
+
+  /**
+   * 构建 updateTable 参数
+   * @return {Object}             updateTable 参数
+   */
+  __buildUpdateTableParams () {
+    return {
+      tableName: this.tableName,
+      reservedThroughput: {
+        capacityUnit: { read: this.reservedRead, write: this.reservedWrite }
+      },
+      tableOptions: {
+        timeToLive: this.timeToLive,
+        maxVersions: this.maxVersions
       }
+    }
+  }
+
+  /**
+   * 将主键定义转换为可比较的字符串（如 uid:INTEGER,ts:INTEGER）
+   * @param  {Array} primaryKeys 主键定义
+   * @return {String}            字符串
+   */
+  __stringifyPrimaryKeys (primaryKeys) {
+    return primaryKeys.map((item) => {
+      let str = `${item.name}:${Codec.normalizeType(item.type, true) || item.type}`
+      return this.__isAutoIncrement(item) ? `${str}:AUTO_INCREMENT` : str
+    }).join(',')
+  }
+
+  // ================ 构建 getRange 参数 ================
+
+  /**
+   * 构建 getRange 参数
+   * @param  {Object} options     选项（同 getRange）
+   * @param  {Object} range       读取范围（默认由 options 解析，见 __buildRange）
+   * @return {Object}             getRange 参数
+   */
+  __buildGetRangeParams (options, range = this.__buildRange(options)) {
+    let direction = this.parseDirection(options.direction)
+    return Object.assign({
+      tableName: this.tableName,
+      direction: direction
+    }, this.__buildRangeKeys(range, direction), {
+      startColumn: options.startColumn,
+      endColumn: options.endColumn,
+      columnFilter: this.parseFilter(options.filter),
+      limit: options.limit || 5000
+    }, this.__buildVersionParams(options), this.__buildTransactionParams(options))
+  }
+
+  /**
+   * 解析读取范围 [lowerKey, upperKey)（未指定 startRow/endRow 时为 where 前缀的所有行）
+   * @param  {Object} options     选项（同 getRange）
+   * @return {Object}             { lowerKey, upperKey }
+   */
+  __buildRange (options) {
+    return {
+      lowerKey: this.__parseRowToPrimaryKey(options.startRow || options.where, Store.INF_MIN),
+      upperKey: this.__parseRowToPrimaryKey(options.endRow || options.where, Store.INF_MAX)
+    }
+  }
+
+  /**
+   * 构建读取范围的起止主键
+   *
+   * 逆序读取时起始主键为上界且包含在结果中，结束主键为下界且不包含在结果中，与正序相反。
+   * 完整主键无法表示“紧邻其下”的主键，所以 upperKey 为完整主键时会多读到 upperKey 本身；
+   * lowerKey 为完整主键时结束主键改为其前缀之后补 INF_MIN，会多读到前缀相同且小于 lowerKey 的行。
+   * 多读的行由 __getRangePage 去掉。
+   *
+   * @param  {Object}    range      读取范围 { lowerKey, upperKey }
+   * @param  {Direction} direction  读取方向
+   * @return {Object}               { inclusiveStartPrimaryKey, exclusiveEndPrimaryKey }
+   */
+  __buildRangeKeys (range, direction) {
+    if (direction !== Store.Direction.BACKWARD) {
+      return { inclusiveStartPrimaryKey: range.lowerKey, exclusiveEndPrimaryKey: range.upperKey }
+    }
+    let endKey = range.lowerKey
+    let isComplete = endKey.every((item) => {
+      let value = item[Object.keys(item)[0]]
+      return value !== Store.INF_MIN && value !== Store.INF_MAX
     })
-    return result
+    if (isComplete && endKey.length) {
+      let name = Object.keys(endKey[endKey.length - 1])[0]
+      endKey = endKey.slice(0, -1).concat({ [name]: Store.INF_MIN })
+    }
+    return { inclusiveStartPrimaryKey: range.upperKey, exclusiveEndPrimaryKey: endKey }
   }
 
-  // ================ 构建 putRow/insertRow/deleteRow 参数 ================
   /**
-   * 将条件对象转换为 ColumnCondition
-   * @param  {Object} where     条件对象
-   * @return {ColumnCondition}  ColumnCondition
+   * 读取一页范围数据（逆序读取时去掉读取范围以外的行，读到下界以下时结束）
+   * @param  {Object} params      getRange 参数
+   * @param  {Object} range       读取范围 { lowerKey, upperKey }
+   * @return {Promise}            promise，结果为 { rows, next_start_primary_key }
    */
-  parseWhereToColumnCondition (where = {}) {
-    let keys = Object.keys(where);
-    if (!keys.length) return null;
-
-    let conditions = [];
-    for (let key in where) {
-      let value = where[key];
-      if (value instanceof Array) {
-        let comparatorType = this.parseComparatorType(value[0])
-        conditions.push(new Store.SingleColumnCondition(key, value[1], comparatorType));
-      } else {
-        conditions.push(new Store.SingleColumnCondition(key, value, Store.ComparatorType.EQUAL));
+  async __getRangePage (params, range) {
+    let data = await this.__store.getRange(params)
+    if (params.direction !== Store.Direction.BACKWARD) return data
+
+    let rows = []
+    for (let row of data.rows || []) {
+      if (comparePrimaryKey(row.primaryKey, range.lowerKey) < 0) {
+        return Object.assign({}, data, { rows, next_start_primary_key: null })
       }
+      if (comparePrimaryKey(row.primaryKey, range.upperKey) < 0) rows.push(row)
     }
+    let next = data.next_start_primary_key
+    if (next && comparePrimaryKey(next, range.lowerKey) < 0) next = null
+    return Object.assign({}, data, { rows, next_start_primary_key: next })
+  }
+
+  /**
+   * 构建事务参数
+   * @param  {Object} options                 选项
+   * @param  {String} options.transactionId   局部事务 ID（见 Table.transaction）
+   * @return {Object}                         { transactionId }（未指定时为空对象）
+   */
+  __buildTransactionParams (options) {
+    return options && options.transactionId ? { transactionId: options.transactionId } : {}
+  }
 
-    if (conditions.length === 1) {
-      return conditions[0];
+  /**
+   * 构建多版本读取参数
+   * @param  {Object} options               选项
+   * @param  {Number} options.maxVersions   最大版本数
+   * @param  {Object} options.timeRange     版本范围 { start, end }（包含 start，不包含 end），或指定版本号
+   * @return {Object}                       { maxVersions, timeRange }（未指定的项不返回）
+   */
+  __buildVersionParams (options) {
+    let params = {}
+    if (options.maxVersions) params.maxVersions = options.maxVersions
+    let range = options.timeRange
+    if (range === undefined || range === null) return params
+    if (typeof range === 'number' || range instanceof Date) {
+      params.timeRange = { specificTime: this.__parseTimestamp('timeRange', range) }
     } else {
-      let condition = new Store.CompositeCondition(Store.LogicalOperator.AND);
-      conditions.forEach((item) => condition.addSubCondition(item));
-      return condition;
+      params.timeRange = {
+        startTime: range.start === undefined ? 0 : this.__parseTimestamp('timeRange.start', range.start),
+        endTime: range.end === undefined ? Number.MAX_SAFE_INTEGER : this.__parseTimestamp('timeRange.end', range.end)
+      }
     }
+    return params
+  }
+
+  /**
+   * 是否为多版本读取（结果的属性列为 [{ value, timestamp }]）
+   * @param  {Object}  options 读取选项
+   * @return {Boolean}         是否为多版本读取
+   */
+  __isVersionedRead (options) {
+    return !!(options && (options.maxVersions || (options.timeRange !== undefined && options.timeRange !== null)))
+  }
+
+  /**
+   * 将读取方向转换为 Direction
+   * @param  {String}   direction   读取方向（forward、backward）
+   * @return {Direction}            Direction
+   */
+  parseDirection (direction = 'forward') {
+    switch (String(direction).toUpperCase()) {
+      case Store.Direction.FORWARD:
+        return Store.Direction.FORWARD
+      case Store.Direction.BACKWARD:
+        return Store.Direction.BACKWARD
+      default:
+        throw new ValidationError(`不支持的读取方向：${direction}`)
+    }
+  }
+
+  // ================ 构建 putRow/insertRow/deleteRow 参数 ================
+  /**
+   * 将条件表达式转换为 ColumnCondition（语法见 Condition）
+   * @param  {Object} where     条件表达式
+   * @return {ColumnCondition}  ColumnCondition
+   */
+  parseWhereToColumnCondition (where) {
+    return Condition.parse(where, this.__encodeColumn)
+  }
+
+  /**
+   * 将读取过滤条件转换为 columnFilter
+   * @param  {Object|ColumnCondition} filter  条件表达式或 ColumnCondition
+   * @return {ColumnCondition}                ColumnCondition（无条件时为 null）
+   */
+  parseFilter (filter) {
+    return Condition.parse(filter, this.__encodeColumn)
   }
 
   /**
@@ -416,45 +1244,58 @@ class Table {
    * @param  {String}   op      比较操作符
    * @return {ComparatorType}   ComparatorType
    */
-  parseComparatorType (op = '') {
-    switch(op.trim()) {
-      case '==':
-        return Store.ComparatorType.EQUAL;
-      break;
-      case '!=':
-        return Store.ComparatorType.NOT_EQUAL;
-      break;
-      case '>':
-        return Store.ComparatorType.GREATER_THAN;
-      break;
-      case '>=':
-        return Store.ComparatorType.GREATER_EQUAL;
-      break;
-      case '<':
-        return Store.ComparatorType.LESS_THAN;
-      break;
-      case '<=':
-        return Store.ComparatorType.LESS_EQUAL;
-      break;
-      default:
-        return Store.ComparatorType.EQUAL;
-      break;
-    }
+  parseComparatorType (op) {
+    return Condition.parseComparatorType(op)
+  }
+
+  /**
+   * 构建写操作的行条件
+   * @param  {Object} options         条件写选项
+   * @param  {String} options.expect  行存在性期望：exist、notExist、ignore
+   * @param  {Object} options.where   列条件表达式
+   * @param  {String} defaultExpect   未指定 expect 时的默认值
+   * @return {Condition}              Condition
+   */
+  __buildCondition (options, defaultExpect) {
+    let expect = options.expect || defaultExpect
+    if (!EXPECTATIONS.hasOwnProperty(expect)) throw new ValidationError(`不支持的行存在性期望：${expect}`)
+    return new Store.Condition(EXPECTATIONS[expect], this.parseWhereToColumnCondition(options.where))
+  }
+
+  /**
+   * 合并写操作选项与数据行中的 $expect、$where（数据行中的优先）
+   * @param  {Object} row       数据行
+   * @param  {Object} [options] 写操作选项
+   * @return {Object}           写操作选项
+   */
+  __parseWriteOptions (row, options) {
+    options = Object.assign({}, options)
+    if (row.$expect !== undefined) options.expect = row.$expect
+    if (row.$where !== undefined) options.where = row.$where
+    return options
   }
 
   /**
    * 构建 putRow 参数
-   * @param  {Object} row         数据行
-   * @param  {Object} [where]     条件（可选）
-   * @return {Object}             putRow 参数
+   * @param  {Object} row                 数据行
+   * @param  {Object} [options]           选项
+   * @param  {String} [options.expect]    行存在性期望（默认为 ignore）
+   * @param  {Object} [options.where]     列条件表达式
+   * @return {Object}                     putRow 参数
    */
-  __buildPutRowParams (row, where) {
-    let condition = new Store.Condition(Store.RowExistenceExpectation.IGNORE, this.parseWhereToColumnCondition(where));
+  __buildPutRowParams (row, options = {}) {
+    let primaryKey = this.__parseRowToPrimaryKey(row, undefined, true)
+    let expect = options.expect
+    // 使用自增主键写入的一定是新行，服务端要求行存在性期望为 ignore
+    if (primaryKey.some((item) => Object.keys(item).some((key) => item[key] === Store.PK_AUTO_INCR))) {
+      if (expect === 'exist') throw new ValidationError('自增主键为空时不能要求数据行存在！')
+      expect = 'ignore'
+    }
     return {
       type: 'PUT',
       tableName: this.tableName,
-      condition: condition,
-      primaryKey: this.__parseRowToPrimaryKey(row),
+      condition: this.__buildCondition(Object.assign({}, options, { expect }), 'ignore'),
+      primaryKey: primaryKey,
       attributeColumns: this.__parseRowToAttributeColumns(row),
       returnContent: {
         returnType: Store.ReturnType.Primarykey
@@ -464,71 +1305,91 @@ class Table {
 
   /**
    * 构建 insertRow 参数
-   * @param  {Object} row         数据行
-   * @return {Object}             putRow 参数
+   * @param  {Object} row                 数据行
+   * @param  {Object} [options]           选项（同 __buildPutRowParams，expect 默认为 notExist）
+   * @return {Object}                     putRow 参数
    */
-  __buildInsertRowParams (row) {
-    let condition = new Store.Condition(Store.RowExistenceExpectation.EXPECT_NOT_EXIST, null)
-    return this.__buildPutRowParams(row, where)
+  __buildInsertRowParams (row, options = {}) {
+    return this.__buildPutRowParams(row, Object.assign({}, options, { expect: options.expect || 'notExist' }))
   }
 
   /**
    * 构建 deleteRow 参数
-   * @param  {Object} row         数据行
-   * @param  {Object} [where]     条件（可选）
-   * @return {Object}             deleteRow 参数
+   * @param  {Object} row                 数据行
+   * @param  {Object} [options]           选项
+   * @param  {String} [options.expect]    行存在性期望（默认为 ignore）
+   * @param  {Object} [options.where]     列条件表达式
+   * @return {Object}                     deleteRow 参数
    */
-  __buildDeleteRowParams (row, where) {
-    let condition = new Store.Condition(Store.RowExistenceExpectation.IGNORE, this.parseWhereToColumnCondition(where));
+  __buildDeleteRowParams (row, options = {}) {
     return {
       type: 'DELETE',
       tableName: this.tableName,
-      condition: condition,
+      condition: this.__buildCondition(options, 'ignore'),
       primaryKey: this.__parseRowToPrimaryKey(row)
     }
   }
 
   /**
    * 构建 updateRow 参数（与 putRow、batchWriteRow 兼容）
-   * @param  {Object} row         数据行
-   * @param  {Object} [where]     条件（可选）
-   * @return {Object}             updateRow 参数
+   * @param  {Object} row                     数据行
+   * @param  {Object} [options]               选项
+   * @param  {String} [options.expect]        行存在性期望（默认为 exist）
+   * @param  {Object} [options.where]         列条件表达式
+   * @param  {Array}  [options.returnColumns] 需要返回的原子加列
+   * @return {Object}                         updateRow 参数
    */
-  __buildUpdateRowParams (row, where) {
-    let condition = new Store.Condition(Store.RowExistenceExpectation.EXPECT_EXIST, this.parseWhereToColumnCondition(where));
+  __buildUpdateRowParams (row, options = {}) {
     let attributeColumns = this.__parseRowToUpdateOfAttributeColumns(row)
+    let returnContent = options.returnColumns
+      ? { returnType: Store.ReturnType.AfterModify, returnColumns: [].concat(options.returnColumns) }
+      : { returnType: Store.ReturnType.Primarykey }
     return {
       type: 'UPDATE',
       tableName: this.tableName,
-      condition: condition,
+      condition: this.__buildCondition(options, 'exist'),
       primaryKey: this.__parseRowToPrimaryKey(row),
       updateOfAttributeColumns: attributeColumns,
       attributeColumns: attributeColumns,
-      returnContent: {
-        returnType: Store.ReturnType.Primarykey
-      }
+      returnContent: returnContent
     }
   }
 
   // ================ 将 row 转换为 params 参数 ================
 
+  /**
+   * 值编解码器（TableStore 实例的 codec，未设置时使用默认 Codec）
+   * @return {Codec} Codec 实例
+   */
+  get __codec () {
+    return (this.__store && this.__store.codec) || DEFAULT_CODEC
+  }
+
+  /**
+   * 按声明的列类型编码条件值（供 Condition.parse 使用）
+   * @return {Function} (name, value) => TableStore 值
+   */
+  get __encodeColumn () {
+    return (name, value) => this.__codec.encodeColumn(name, value, this.columns[name])
+  }
+
   /**
    * 将带主键信息的数据行转换为主键参数数组
-   * @param  {Object} row           数据行
-   * @param  {String} defaultValue  为空时的默认值
-   * @return {Array}                主键参数数组
+   * @param  {Object}  row            数据行
+   * @param  {String}  defaultValue   为空时的默认值
+   * @param  {Boolean} autoIncrement  自增主键为空时是否使用自增占位符（写入新行时）
+   * @return {Array}                  主键参数数组
    */
-  __parseRowToPrimaryKey (obj, defaultValue) {
+  __parseRowToPrimaryKey (obj, defaultValue, autoIncrement = false) {
     obj = obj || {}
     let arr = []
     this.primaryKeys.forEach((item) => {
       let key = item.name
       let value = obj[key]
-      if (obj.hasOwnProperty(key)) {
-        if (item.type === Store.Long) {
-          value = Store.Long.fromNumber(parseInt(value))
-        }
-        arr.push({[key]: value})
+      if (autoIncrement && this.__isAutoIncrement(item) && (value === undefined || value === null)) {
+        arr.push({[key]: Store.PK_AUTO_INCR})
+      } else if (obj.hasOwnProperty(key)) {
+        arr.push({[key]: this.__codec.encodePrimaryKey(key, value, item.type)})
       } else if (defaultValue !== undefined) {
         arr.push({[key]: defaultValue})
       }
@@ -536,6 +1397,27 @@ class Table {
     return arr
   }
 
+  /**
+   * 是否为自增主键列
+   * @param  {Object}  item 主键定义 { name, type, autoIncrement }（线上表结构为 option）
+   * @return {Boolean}      是否自增
+   */
+  __isAutoIncrement (item) {
+    return !!(item.autoIncrement || item.option === 'AUTO_INCREMENT' || item.option === 1)
+  }
+
+  /**
+   * 将服务端返回的主键（如自增主键）合并到数据行
+   * @param  {Object} row   写入的数据行
+   * @param  {Object} data  服务端返回的行数据 { primaryKey }
+   * @return {Object}       新的数据行
+   */
+  __mergeReturnedPrimaryKey (row, data) {
+    let result = Object.assign({}, row)
+    if (data && data.primaryKey) Object.assign(result, this.__parseDataToRow({ primaryKey: data.primaryKey }))
+    return result
+  }
+
   /**
    * 将数据行转换为数据属性列 attributeColumns
    * @param  {Object} row 数据行
@@ -545,61 +1427,123 @@ class Table {
     let arr = []
     let ignoreKeys = this.primaryKeys.map((item) => item.name)
     for (let key in obj) {
-      if (ignoreKeys.indexOf(key) >= 0) continue
+      // 主键列、$ 开头的选项（如 $where）与 undefined 值不写入
+      if (ignoreKeys.indexOf(key) >= 0 || key[0] === '$') continue
       let value = obj[key]
-      arr.push({[key]: value})
+      if (value === undefined) continue
+      // 带版本号的单元格 { value, timestamp }（数组时写入多个版本）
+      if (isCell(value) || (value instanceof Array && value.length && value.every(isCell))) {
+        [].concat(value).forEach((cell) => arr.push({
+          [key]: this.__codec.encodeColumn(key, cell.value, this.columns[key]),
+          timestamp: this.__parseTimestamp(key, cell.timestamp)
+        }))
+        continue
+      }
+      arr.push({[key]: this.__codec.encodeColumn(key, value, this.columns[key])})
     }
     return arr
   }
 
   /**
    * 将数据行转换为数据更新属性列 updateOfAttributeColumns
-   * @param  {Object} row 数据行
+   * @param  {Object} row 数据行（支持 $inc、$unset、$deleteVersion 更新操作符）
    * @return {Array}      数据更新属性列
    */
   __parseRowToUpdateOfAttributeColumns (obj) {
+    let groups = []
     let putColumns = this.__parseRowToAttributeColumns(obj)
-    return [{ PUT: putColumns }]
+    if (putColumns.length) groups.push({ PUT: putColumns })
+
+    for (let op in obj) {
+      if (op[0] !== '$' || op === '$where' || op === '$expect') continue
+      let updateType = UPDATE_OPERATORS[op]
+      if (!updateType) throw new ValidationError(`不支持的更新操作符：${op}`)
+      let columns = this.__parseUpdateOperator(op, obj[op])
+      if (columns.length) groups.push({ [updateType]: columns })
+    }
+
+    if (!groups.length) throw new ValidationError('没有需要更新的列！')
+    return groups
+  }
+
+  /**
+   * 将更新操作符的值转换为更新列
+   * @param  {String} op    更新操作符
+   * @param  {*}      value 操作符的值
+   * @return {Array}        更新列
+   */
+  __parseUpdateOperator (op, value) {
+    let ignoreKeys = this.primaryKeys.map((item) => item.name)
+    let check = (key) => {
+      if (ignoreKeys.indexOf(key) >= 0) throw new ValidationError(`${op} 不能用于主键列 ${key}`)
+      return key
+    }
+    let arr = []
+    switch (op) {
+      case '$inc':
+        for (let key in value) {
+          arr.push({ [check(key)]: this.__codec.encodeColumn(key, value[key], Codec.DataType.INTEGER) })
+        }
+        break
+      case '$unset':
+        [].concat(value || []).forEach((key) => arr.push(check(key)))
+        break
+      case '$deleteVersion':
+        for (let key in value) {
+          [].concat(value[key]).forEach((ts) => {
+            arr.push({ [check(key)]: this.__parseTimestamp(key, ts) })
+          })
+        }
+        break
+    }
+    return arr
+  }
+
+  /**
+   * 将版本号转换为毫秒时间戳
+   * @param  {String}      name  列名（用于错误信息）
+   * @param  {Number|Date} ts    版本号
+   * @return {Number}            毫秒时间戳
+   */
+  __parseTimestamp (name, ts) {
+    let value = ts instanceof Date ? ts.getTime() : Number(ts)
+    if (!Number.isSafeInteger(value) || value < 0) throw new ValidationError(`${name} 的版本号无效：${ts}`)
+    return value
   }
 
   /**
    * 将批操作对象转换为批量写 rows
-   * @param  {Object} obj 批操作对象
-   * @return {Array}      批量写 rows
+   * @param  {Object} obj       批操作对象
+   * @param  {Object} [options] 选项 { expect, where, returnColumns }
+   * @return {Array}            批量写 rows
    */
-  __parseObjectToBatchWriteRows (obj) {
+  __parseObjectToBatchWriteRows (obj, options = {}) {
     let writeRows = []
+    let push = (item, op, row) => {
+      item.__op = op
+      item.__row = row
+      item.__index = writeRows.length
+      delete item.tableName
+      writeRows.push(item)
+    }
     // parse
     for (let key in obj) {
       let op = key.toLocaleUpperCase()
       let rows = obj[key] || []
       if (!rows.length) continue
       rows.forEach((row) => {
-        let item = null
         switch (op) {
           case 'PUT':
-            item = this.__buildPutRowParams(row, row.$where)
-            item.__op = op
-            delete item.tableName
-            writeRows.push(item)
+            push(this.__buildPutRowParams(row, this.__parseWriteOptions(row, options)), op, row)
           break;
           case 'INSERT':
-            item = this.__buildInsertRowParams(row)
-            item.__op = op
-            delete item.tableName
-            writeRows.push(item)
+            push(this.__buildInsertRowParams(row, this.__parseWriteOptions(row, options)), op, row)
           break;
           case 'UPDATE':
-            item = this.__buildUpdateRowParams(row, row.$where)
-            item.__op = op
-            delete item.tableName
-            writeRows.push(item)
+            push(this.__buildUpdateRowParams(row, this.__parseWriteOptions(row, options)), op, row)
           break;
           case 'DELETE':
-            item = this.__buildDeleteRowParams(row, row.$where)
-            item.__op = op
-            delete item.tableName
-            writeRows.push(item)
+            push(this.__buildDeleteRowParams(row, this.__parseWriteOptions(row, options)), op, row)
           break;
         }
       })
@@ -624,6 +1568,8 @@ class Table {
     // parse
     writeRows.forEach((item) => {
       let row = this.__parseParamsToRow(item)
+      // 合并服务端返回的主键与列（如原子加后的值）
+      if (item.__result) Object.assign(row, this.__parseDataToRow(item.__result))
       let op = item.__op || item.type
       switch (op) {
         case 'PUT':
@@ -644,36 +1590,84 @@ class Table {
     return obj
   }
 
+  // ================ 分页 token ================
+
+  /**
+   * 将 next_start_primary_key 编码为分页 token
+   * @param  {Array} primaryKey   主键列数组 [{ name, value }]
+   * @return {String}             分页 token
+   */
+  __encodeToken (primaryKey) {
+    let arr = primaryKey.map((item) => {
+      let value = item.value
+      if (value instanceof Buffer) return [item.name, 'b', value.toString('base64')]
+      if (typeof value === 'object') return [item.name, 'i', value.toString()]
+      return [item.name, 's', value]
+    })
+    return Buffer.from(JSON.stringify(arr)).toString('base64')
+  }
+
+  /**
+   * 将分页 token 解码为起始主键参数数组
+   * @param  {String} token  分页 token
+   * @return {Array}         主键参数数组
+   */
+  __decodeToken (token) {
+    let arr = null
+    try {
+      arr = JSON.parse(Buffer.from(String(token), 'base64').toString())
+    } catch (err) {
+      throw new ValidationError('token 不正确', { cause: err })
+    }
+    if (!(arr instanceof Array) || arr.length !== this.primaryKeys.length) throw new ValidationError('token 不正确')
+    return arr.map((item, i) => {
+      // 每一项为 [列名, 类型标记, 值]，列名、顺序与类型必须与主键一致
+      let pk = this.primaryKeys[i]
+      if (!(item instanceof Array) || item.length !== 3 || item[0] !== pk.name || typeof item[2] !== 'string' ||
+        TOKEN_TYPES[item[1]] !== Codec.normalizeType(pk.type, true)) {
+        throw new ValidationError('token 不正确')
+      }
+      let value = item[2]
+      if (item[1] === 'b') value = Buffer.from(value, 'base64')
+      if (item[1] === 'i') {
+        if (!/^-?\d+$/.test(value)) throw new ValidationError('token 不正确')
+        value = Store.Long.fromString(value)
+      }
+      return { [item[0]]: value }
+    })
+  }
+
   // ================ 将 data/params 转换为 row 结构 ================
 
   /**
    * 将从数据库获取的数据转换为 row 对象
-   * @param  {Object} data 数据对象
-   * @return {Object}      row 对象
+   * @param  {Object}  data      数据对象
+   * @param  {Boolean} versions  是否保留所有版本（属性列为 [{ value, timestamp }]，从新到旧）
+   * @return {Object}            row 对象
    */
-  __parseDataToRow (data) {
+  __parseDataToRow (data, versions = false) {
     let row = { }
-    let OBJECT = 'object'
+    let codec = this.__codec
 
     // 主键列
     if (data.primaryKey instanceof Array) {
       data.primaryKey.forEach((item) => {
-        if (typeof(item.value) === OBJECT) {
-          row[item.name] = parseInt(item.value.toString());
-        } else {
-          row[item.name] = item.value;
-        }
+        row[item.name] = codec.decode(item.value)
       })
     }
 
     // 属性列
     if (data.attributes instanceof Array) {
       data.attributes.forEach((item) => {
-        if (typeof(item.columnValue) === OBJECT) {
-          row[item.columnName] = parseInt(item.columnValue.toString());
-        } else {
-          row[item.columnName] = item.columnValue;
+        let value = codec.decode(item.columnValue)
+        if (!versions) {
+          // 只保留最新版本
+          if (!row.hasOwnProperty(item.columnName)) row[item.columnName] = value
+          return
         }
+        let timestamp = item.timestamp === undefined || item.timestamp === null ? null : Number(item.timestamp.toString())
+        if (!row.hasOwnProperty(item.columnName)) row[item.columnName] = []
+        row[item.columnName].push({ value, timestamp })
       })
     }
 
@@ -687,18 +1681,30 @@ class Table {
    */
   __parseParamsToRow (params) {
     let row = { }
+    let codec = this.__codec
+    let assign = (item) => {
+      for (let key in item) {
+        if (item.timestamp === undefined) {
+          row[key] = codec.decode(item[key])
+          continue
+        }
+        // 带版本号的列还原为 { value, timestamp }（多个版本时为数组）
+        let cell = { value: codec.decode(item[key]), timestamp: item.timestamp }
+        row[key] = row.hasOwnProperty(key) ? [].concat(row[key], cell) : cell
+        break
+      }
+    }
 
     // 主键列
     if (params.primaryKey instanceof Array) {
-      params.primaryKey.forEach((item) => {
-        Object.assign(row, item)
-      })
+      params.primaryKey.forEach(assign)
     }
 
-    // 属性列
+    // 属性列（updateRow 参数为 [{ PUT: [...] }] 格式）
     if (params.attributeColumns instanceof Array) {
       params.attributeColumns.forEach((item) => {
-        Object.assign(row, item)
+        if (item.PUT instanceof Array) item.PUT.forEach(assign)
+        else if (params.type !== 'UPDATE') assign(item)
       })
     }
 
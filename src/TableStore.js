@@ -1,7 +1,9 @@
-const Store = require('tablestore')
 const Client = require('./Client')
 const Table = require('./Table')
 const Model = require('./Model')
+const MemoryDriver = require('./MemoryDriver')
+const Migrator = require('./Migrator')
+const Errors = require('./Errors')
 
 /**
  * TableStore 类
@@ -15,30 +17,104 @@ class TableStore extends Client {
 
     // 模型集合
     this.models = {}
+
+    // 全局生命周期钩子（对所有模型生效）
+    this.hooks = {}
+  }
+
+  /**
+   * 注册全局生命周期钩子（先于模型上注册的钩子执行）
+   * @param  {String}   name 钩子名（见 Model.addHook）
+   * @param  {Function} fn   钩子函数 async (instance) => {}
+   * @return {TableStore}    TableStore实例
+   */
+  addHook (name, fn) {
+    Model.checkHook(name, fn)
+    this.hooks[name] = (this.hooks[name] || []).concat(fn)
+    return this
   }
 
   /**
    * 同步 tables 数据
+   * @param  {Object}  options          选项
+   * @param  {Boolean} options.create   是否创建已定义但不存在的表
+   * @param  {Boolean} options.alter    是否更新结构有差异的表
+   * @return {Promise}                  差异报告 { hasDrift, tables: [{ tableName, action, applied, changes }] }
    */
-  async sync () {
+  async sync (options = {}) {
     let result = await this.listTable();
     let tableNames = result.table_names || [];
-    tableNames.forEach((name) => this.defineTable(name));
+    let report = { hasDrift: false, tables: [] }
+
+    // 已定义但不存在的表
+    for (let tableName in this.tables) {
+      if (tableNames.indexOf(tableName) >= 0) continue
+      if (options.create) await this.tables[tableName].create()
+      report.tables.push({ tableName, action: 'create', applied: !!options.create, changes: {} })
+    }
+
+    // 已存在的表
+    for (let tableName of tableNames) {
+      let table = this.tables[tableName]
+      if (!table) {
+        this.defineTable(tableName)
+        continue
+      }
+      let changes = table.diff(await table.describe())
+      if (!Object.keys(changes).length) continue
+      // 主键无法修改
+      if (changes.primaryKeys) {
+        report.tables.push({ tableName, action: 'conflict', applied: false, changes })
+        continue
+      }
+      if (options.alter) await table.alter(changes)
+      report.tables.push({ tableName, action: 'alter', applied: !!options.alter, changes })
+    }
+
+    report.hasDrift = report.tables.some((item) => !item.applied)
+    return report
+  }
+
+  /**
+   * 创建迁移器
+   * @param  {Object} options 选项（同 Migrator）
+   * @return {Migrator}       Migrator实例
+   */
+  migrator (options) {
+    return new Migrator(this, options)
   }
 
   /**
    * 定义模型
+   * @param  {String} modelName     模型名
+   * @param  {Object} props         属性定义
+   * @param  {Object} tableOptions  数据表选项
+   * @return {Function}             模型类
    */
   defineModel (modelName, props, tableOptions) {
     this.models[modelName] = Model.define(modelName, props, tableOptions, this)
+    return this.models[modelName]
   }
 
   /**
    * 定义数据表
+   * @param  {String} tableName     表名
+   * @param  {Object} tableOptions  数据表选项
+   * @return {Table}                Table实例
    */
   defineTable (tableName, tableOptions) {
     this.tables[tableName] = new Table(tableName, tableOptions).setStore(this)
+    return this.tables[tableName]
   }
 }
 
+// 错误类（TableStore.ValidationError 等）
+Object.assign(TableStore, Errors)
+
+// 内存驱动
+TableStore.MemoryDriver = MemoryDriver
+
+// 迁移器
+TableStore.Migrator = Migrator
+
 module.exports = TableStore
@@ -0,0 +1,174 @@
+const { ValidationError } = require('./Errors')
+
+/**
+ * Transaction 类（分区键范围内的局部事务）
+ *
+ * 由 Table.transaction 创建，读写方法与 Table 相同，请求会带上事务 ID：
+ *   await table.transaction({ uid: 1 }, async (tx) => {
+ *     let row = await tx.get({ uid: 1, id: 'a' })
+ *     await tx.update({ uid: 1, id: 'a', $inc: { count: 1 } })
+ *   })
+ *
+ * 数据行省略分区键时自动补上，分区键与事务不一致时抛出 ValidationError。
+ */
+class Transaction {
+  /**
+   * 构造函数
+   * @param  {Table}  table          Table实例
+   * @param  {Object} partitionKey   分区键 { 列名: 值 }
+   * @param  {String} transactionId  事务 ID
+   */
+  constructor (table, partitionKey, transactionId) {
+    this.table = table
+    this.partitionKey = partitionKey
+    this.transactionId = transactionId
+    // 状态：active、committed、aborted
+    this.state = 'active'
+  }
+
+  /**
+   * 读取一行数据
+   * @param  {Object} row     数据行
+   * @param  {Object} options 选项（同 Table.get）
+   * @return {Promise}        promise
+   */
+  async get (row, options) {
+    return this.table.get(this.__row(row), this.__options(options))
+  }
+
+  /**
+   * 批量读
+   * @param  {Object} rows    数据行数组
+   * @param  {Object} options 选项（同 Table.batchGet）
+   * @return {Promise}        promise
+   */
+  async batchGet (rows, options) {
+    return this.table.batchGet(this.__rows(rows), this.__options(options))
+  }
+
+  /**
+   * 范围读（where 省略分区键时自动补上）
+   * @param  {Object} options 选项（同 Table.getRange）
+   * @return {Promise}        promise
+   */
+  async getRange (options = {}) {
+    options = Object.assign({}, options, { where: this.__row(options.where || {}) })
+    return this.table.getRange(this.__options(options))
+  }
+
+  /**
+   * 写入一行数据
+   * @param  {Object} row     数据行
+   * @param  {Object} options 选项（同 Table.put）
+   * @return {Promise}        promise
+   */
+  async put (row, options) {
+    return this.table.put(this.__row(row), this.__options(options))
+  }
+
+  /**
+   * 新增一行数据
+   * @param  {Object} row     数据行
+   * @param  {Object} options 选项（同 Table.insert）
+   * @return {Promise}        promise
+   */
+  async insert (row, options) {
+    return this.table.insert(this.__row(row), this.__options(options))
+  }
+
+  /**
+   * 更新一行数据
+   * @param  {Object} row     数据行
+   * @param  {Object} options 选项（同 Table.update）
+   * @return {Promise}        promise
+   */
+  async update (row, options) {
+    return this.table.update(this.__row(row), this.__options(options))
+  }
+
+  /**
+   * 删除一行数据
+   * @param  {Object} row     数据行
+   * @param  {Object} options 选项（同 Table.delete）
+   * @return {Promise}        promise
+   */
+  async delete (row, options) {
+    return this.table.delete(this.__row(row), this.__options(options))
+  }
+
+  /**
+   * 批量增、删、改
+   * @param  {Object} batchOpData 批操作数据对象 { put, insert, update, delete }
+   * @param  {Object} options     选项（同 Table.batchWrite）
+   * @return {Promise}            promise
+   */
+  async batchWrite (batchOpData = {}, options) {
+    let data = {}
+    for (let op in batchOpData) data[op] = this.__rows(batchOpData[op])
+    return this.table.batchWrite(data, this.__options(options))
+  }
+
+  /**
+   * 提交事务
+   * @return {Promise} promise
+   */
+  async commit () {
+    this.__checkActive()
+    await this.table.__store.commitTransaction({ transactionId: this.transactionId })
+    this.state = 'committed'
+  }
+
+  /**
+   * 回滚事务
+   * @return {Promise} promise
+   */
+  async abort () {
+    this.__checkActive()
+    this.state = 'aborted'
+    await this.table.__store.abortTransaction({ transactionId: this.transactionId })
+  }
+
+  /**
+   * 合并事务选项
+   * @param  {Object} options 选项
+   * @return {Object}         带 transactionId 的选项
+   */
+  __options (options) {
+    this.__checkActive()
+    return Object.assign({}, options, { transactionId: this.transactionId })
+  }
+
+  /**
+   * 补上分区键并检查是否与事务一致
+   * @param  {Object} row 数据行
+   * @return {Object}     新的数据行
+   */
+  __row (row) {
+    if (!row || typeof row !== 'object') throw new ValidationError('参数无效')
+    let name = Object.keys(this.partitionKey)[0]
+    let expected = this.partitionKey[name]
+    let value = row[name]
+    if (value === undefined || value === null) return Object.assign({}, row, { [name]: expected })
+    let same = value instanceof Buffer ? expected instanceof Buffer && value.equals(expected) : String(value) === String(expected)
+    if (!same) throw new ValidationError(`事务内的数据行分区键 ${name} 必须为 ${expected}，实际为 ${value}`)
+    return row
+  }
+
+  /**
+   * 批量补上分区键
+   * @param  {Array} rows 数据行数组
+   * @return {Array}      新的数据行数组
+   */
+  __rows (rows) {
+    return [].concat(rows || []).map((row) => this.__row(row))
+  }
+
+  /**
+   * 检查事务是否仍可使用
+   */
+  __checkActive () {
+    if (this.state !== 'active') throw new ValidationError(`事务已${this.state === 'committed' ? '提交' : '回滚'}，不能继续使用`)
+  }
+}
+
+module.exports = Transaction
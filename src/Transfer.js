@@ -0,0 +1,536 @@
+const Store = require('tablestore')
+const { once } = require('events')
+const { StringDecoder } = require('string_decoder')
+const Codec = require('./Codec')
+const { ValidationError } = require('./Errors')
+
+/**
+ * TableStore 整数类型（Int64LE）
+ * @type {Function}
+ */
+const Int64 = Store.Long.fromNumber(0).constructor
+
+/**
+ * 支持的格式
+ * @type {Array}
+ */
+const FORMATS = ['jsonl', 'csv']
+
+/**
+ * 导入支持的写入方式
+ * @type {Array}
+ */
+const IMPORT_MODES = ['put', 'insert']
+
+/**
+ * 批量写每次请求的最大行数
+ * @type {Number}
+ */
+const CHUNK_SIZE = 200
+
+/**
+ * 获取 TableStore 值的数据类型
+ * @param  {*}      value TableStore 值
+ * @return {String}       数据类型（见 Codec.DataType）
+ */
+function typeOf (value) {
+  if (value instanceof Int64) return Codec.DataType.INTEGER
+  if (value instanceof Buffer) return Codec.DataType.BINARY
+  if (typeof value === 'number') return Codec.DataType.DOUBLE
+  if (typeof value === 'boolean') return Codec.DataType.BOOLEAN
+  return Codec.DataType.STRING
+}
+
+/**
+ * 将 TableStore 值编码为 JSON 值（JSON 无法区分类型的值用 { $int }、{ $double }、{ $binary } 表示）
+ * @param  {*} value TableStore 值
+ * @return {*}       JSON 值
+ */
+function toJsonValue (value) {
+  if (value instanceof Int64) {
+    let str = value.toString(10)
+    return Number.isSafeInteger(Number(str)) ? Number(str) : { $int: str }
+  }
+  if (value instanceof Buffer) return { $binary: value.toString('base64') }
+  if (typeof value === 'number' && (Number.isInteger(value) || !isFinite(value))) {
+    return { $double: isFinite(value) ? value : String(value) }
+  }
+  return value
+}
+
+/**
+ * 将 TableStore 值编码为 CSV 单元格文本
+ * @param  {*}      value TableStore 值
+ * @return {String}       文本
+ */
+function toCsvText (value) {
+  if (value instanceof Int64) return value.toString(10)
+  if (value instanceof Buffer) return value.toString('base64')
+  return String(value)
+}
+
+/**
+ * 转义 CSV 字段（空字符串加引号，与缺少的列区分）
+ * @param  {String} text 文本
+ * @return {String}      CSV 字段
+ */
+function quoteCsv (text) {
+  if (text !== '' && !/[",\r\n]/.test(text)) return text
+  return `"${text.replace(/"/g, '""')}"`
+}
+
+/**
+ * Transfer 类（数据表的导出与导入）
+ *
+ * 由 Table.export、Table.import 创建，支持两种格式：
+ *   jsonl  每行一个 JSON 对象，无法用 JSON 区分类型的值写为
+ *          { $int: '9007199254740993' }、{ $double: 1 }、{ $binary: 'base64' }
+ *   csv    表头为 列名:类型（如 uid:INTEGER），未加引号的空字段表示该行没有这一列
+ */
+class Transfer {
+  /**
+   * 构造函数
+   * @param  {Table} table Table实例
+   */
+  constructor (table) {
+    this.table = table
+  }
+
+  /**
+   * 逐页读取主键范围内的数据并写入流
+   * @param  {Writable} stream               可写流
+   * @param  {Object}   options              选项
+   * @param  {String}   options.format       格式：jsonl（默认）、csv（先读取一遍数据以确定表头）
+   * @param  {Object}   options.where        带分区键的条件（同 getRange，默认为全表）
+   * @param  {Array}    options.columns      导出的属性列（默认全部）
+   * @param  {Object}   options.filter       属性列过滤条件
+   * @param  {Number}   options.limit        每次请求的行数
+   * @param  {Boolean}  options.end          完成后是否关闭流（默认为 true）
+   * @param  {Function} options.onProgress   进度回调 ({ total }) => {}
+   * @return {Promise}                       promise，结果为 { total }
+   */
+  async export (stream, options = {}) {
+    let table = this.table
+    let format = this.__parseFormat(options.format)
+    if (!table.isSynced) await table.sync()
+
+    let rangeOptions = Object.assign({ where: {} }, options, { maxVersions: 1, timeRange: null })
+    let range = table.__buildRange(rangeOptions)
+    let params = table.__buildGetRangeParams(rangeOptions, range)
+    if (options.columns) params.columnsToGet = options.columns
+    let total = 0
+
+    // CSV 在写入数据之前确定表头
+    let header = null
+    if (format === 'csv') {
+      header = await this.__scanCsvHeader(Object.assign({}, params), range, options.columns)
+      let line = header.map((item) => quoteCsv(`${item.name}:${item.type}`)).join(',')
+      if (!stream.write(line + '\n')) await once(stream, 'drain')
+    }
+
+    while (true) {
+      let data = await table.__getRangePage(params, range)
+      let records = (data.rows || []).map((row) => this.__toRecord(row))
+      let lines = []
+      if (format === 'csv') {
+        records.forEach((record) => lines.push(this.__toCsvLine(record, header)))
+      } else {
+        records.forEach((record) => {
+          let obj = {}
+          for (let name in record) obj[name] = toJsonValue(record[name])
+          lines.push(JSON.stringify(obj))
+        })
+      }
+
+      total += records.length
+      if (lines.length && !stream.write(lines.join('\n') + '\n')) await once(stream, 'drain')
+      if (typeof options.onProgress === 'function') options.onProgress({ total })
+
+      if (!data.next_start_primary_key) break
+      params.inclusiveStartPrimaryKey = data.next_start_primary_key.map((item) => ({ [item.name]: item.value }))
+    }
+
+    if (options.end !== false) {
+      stream.end()
+      await once(stream, 'finish')
+    }
+    return { total }
+  }
+
+  /**
+   * 从流中解析数据行并分块批量写入
+   * @param  {Readable} stream               可读流
+   * @param  {Object}   options              选项
+   * @param  {String}   options.format       格式：jsonl（默认）、csv
+   * @param  {String}   options.mode         写入方式：put（默认，存在则覆盖）、insert（已存在的行写入失败）
+   * @param  {Number}   options.concurrency  并发请求数（默认为 4）
+   * @param  {Number}   options.chunkSize    每次请求的行数（最大 200）
+   * @param  {Function} options.onProgress   进度回调 ({ total, written, failed }) => {}，每写完一块调用一次
+   * @return {Promise}                       promise，结果为 { total, written, failed: [{ index, row, code, message, error }] }
+   */
+  async import (stream, options = {}) {
+    let table = this.table
+    let format = this.__parseFormat(options.format)
+    let mode = options.mode || 'put'
+    if (IMPORT_MODES.indexOf(mode) < 0) throw new ValidationError(`mode 参数不正确：${mode}`)
+    let concurrency = Math.max(1, options.concurrency || 4)
+    let chunkSize = Math.min(options.chunkSize || CHUNK_SIZE, CHUNK_SIZE)
+    if (!table.isSynced) await table.sync()
+
+    let result = { total: 0, written: 0, failed: [] }
+    let batch = []
+    let pending = new Set()
+    let error = null
+
+    let progress = () => {
+      if (typeof options.onProgress === 'function') {
+        options.onProgress({ total: result.total, written: result.written, failed: result.failed.length })
+      }
+    }
+    let flush = async () => {
+      let items = batch
+      batch = []
+      let task = this.__writeBatch(items, mode, result).then(progress, (err) => { error = error || err })
+      pending.add(task)
+      task.then(() => pending.delete(task))
+      if (pending.size >= concurrency) await Promise.race(pending)
+      if (error) throw error
+    }
+    let add = async (index, parse) => {
+      result.total++
+      let row = null
+      try {
+        row = parse()
+        // 提前编码，单行的类型错误不影响同一块中的其他行
+        table.__parseObjectToBatchWriteRows({ [mode]: [row] })
+        batch.push({ index, row })
+      } catch (err) {
+        result.failed.push({ index, row, code: err.code || 'InvalidRecord', message: err.message, error: err })
+        return
+      }
+      if (batch.length >= chunkSize) await flush()
+    }
+
+    try {
+      let decoder = new StringDecoder('utf8')
+      let parser = format === 'csv' ? this.__createCsvParser() : this.__createLineParser()
+      let header = null
+      let index = 0
+      let consume = async (records) => {
+        for (let record of records) {
+          if (format === 'csv' && !header) {
+            header = this.__parseCsvHeader(record)
+            continue
+          }
+          let i = index++
+          await add(i, () => format === 'csv' ? this.__fromCsvRecord(record, header) : this.__fromJsonLine(record))
+        }
+      }
+      for await (let chunk of stream) {
+        await consume(parser.write(typeof chunk === 'string' ? chunk : decoder.write(chunk)))
+      }
+      await consume(parser.end(decoder.end()))
+      if (batch.length) await flush()
+    } finally {
+      await Promise.all(pending)
+    }
+    if (error) throw error
+
+    result.failed.sort((a, b) => a.index - b.index)
+    return result
+  }
+
+  /**
+   * 批量写入一块数据行
+   * @param  {Array}  items  [{ index, row }]
+   * @param  {String} mode   写入方式
+   * @param  {Object} result 导入结果（累加写入行数与失败的行）
+   * @return {Promise}       promise
+   */
+  async __writeBatch (items, mode, result) {
+    let data = await this.table.batchWrite({ [mode]: items.map((item) => item.row) }, { concurrency: 1 })
+    let indexes = new Map(items.map((item) => [item.row, item.index]))
+    result.written += items.length - data.failed.length
+    data.failed.forEach((item) => {
+      result.failed.push({ index: indexes.get(item.row), row: item.row, code: item.code, message: item.message, error: item.error })
+    })
+  }
+
+  /**
+   * 解析格式
+   * @param  {String} format 格式
+   * @return {String}        格式
+   */
+  __parseFormat (format = 'jsonl') {
+    if (FORMATS.indexOf(format) < 0) throw new ValidationError(`format 参数不正确：${format}`)
+    return format
+  }
+
+  /**
+   * 将 getRange 返回的行转换为 { 列名: TableStore 值 }（只保留最新版本）
+   * @param  {Object} row 行数据
+   * @return {Object}     记录
+   */
+  __toRecord (row) {
+    let record = {}
+    for (let item of row.primaryKey || []) record[item.name] = item.value
+    for (let item of row.attributes || []) {
+      if (!record.hasOwnProperty(item.columnName)) record[item.columnName] = item.columnValue
+    }
+    return record
+  }
+
+  /**
+   * 读取一遍导出范围，生成 CSV 表头（主键 + 导出列；未指定列时为声明的列和数据中出现的所有列）
+   *
+   * 列的类型为声明的类型，未声明时为第一次出现的值的类型；同一列的类型不一致时在写入任何数据之前抛出 ValidationError。
+   * @param  {Object} params   getRange 参数（会被修改）
+   * @param  {Object} range    读取范围（见 Table.__buildRange）
+   * @param  {Array}  columns  导出的属性列
+   * @return {Promise}         promise，结果为 [{ name, type }]
+   */
+  async __scanCsvHeader (params, range, columns) {
+    let table = this.table
+    let header = table.primaryKeys.map((item) => ({ name: item.name, type: Codec.normalizeType(item.type, true) }))
+    let names = header.map((item) => item.name)
+    let attributes = columns ? columns.slice() : Object.keys(table.columns)
+    let declared = attributes.length
+    let types = {}
+
+    while (true) {
+      let data = await table.__getRangePage(params, range)
+      for (let row of data.rows || []) {
+        let record = this.__toRecord(row)
+        for (let name in record) {
+          if (names.indexOf(name) >= 0) continue
+          let type = typeOf(record[name])
+          let expected = Codec.normalizeType(table.columns[name]) || types[name]
+          if (expected && expected !== type) {
+            throw new ValidationError(`列 ${name} 的类型不一致（${expected}、${type}），无法导出为 CSV，请使用 jsonl 格式`)
+          }
+          types[name] = type
+          if (attributes.indexOf(name) < 0) attributes.push(name)
+        }
+      }
+      if (!data.next_start_primary_key) break
+      params.inclusiveStartPrimaryKey = data.next_start_primary_key.map((item) => ({ [item.name]: item.value }))
+    }
+
+    // 声明的列在前，其余列按名称排序
+    attributes = attributes.slice(0, declared).concat(attributes.slice(declared).sort())
+    for (let name of attributes) {
+      if (names.indexOf(name) >= 0) continue
+      header.push({ name, type: Codec.normalizeType(table.columns[name]) || types[name] || Codec.DataType.STRING })
+    }
+    return header
+  }
+
+  /**
+   * 将记录编码为 CSV 行（有表头以外的列或类型与表头不一致时抛出 ValidationError）
+   * @param  {Object} record 记录
+   * @param  {Array}  header 表头
+   * @return {String}        CSV 行
+   */
+  __toCsvLine (record, header) {
+    for (let name in record) {
+      if (!header.some((item) => item.name === name)) {
+        throw new ValidationError(`列 ${name} 不在 CSV 表头中（导出期间数据被修改），请重新导出`)
+      }
+    }
+    return header.map(({ name, type }) => {
+      let value = record[name]
+      if (value === undefined) return ''
+      if (typeOf(value) !== type) {
+        throw new ValidationError(`列 ${name} 的类型（${typeOf(value)}）与 CSV 表头（${type}）不一致，请使用 jsonl 格式`)
+      }
+      return quoteCsv(toCsvText(value))
+    }).join(',')
+  }
+
+  /**
+   * 解析 CSV 表头（列名:类型，省略类型时使用声明的类型，未声明时为 STRING）
+   * @param  {Array} record 表头记录
+   * @return {Array}        [{ name, type }]
+   */
+  __parseCsvHeader (record) {
+    return record.map((field) => {
+      let text = field.value
+      let i = text.lastIndexOf(':')
+      let name = i > 0 ? text.slice(0, i) : text
+      let type = i > 0 ? Codec.normalizeType(text.slice(i + 1)) : this.__declaredType(name) || Codec.DataType.STRING
+      if (!name || !type) throw new ValidationError(`CSV 表头 ${text} 不正确`)
+      return { name, type }
+    })
+  }
+
+  /**
+   * 将 CSV 记录解码为数据行
+   * @param  {Array}  record CSV 记录 [{ value, quoted }]
+   * @param  {Array}  header 表头
+   * @return {Object}        数据行
+   */
+  __fromCsvRecord (record, header) {
+    if (record.length !== header.length) throw new ValidationError(`字段数（${record.length}）与表头（${header.length}）不一致`)
+    let row = {}
+    header.forEach(({ name, type }, i) => {
+      let { value, quoted } = record[i]
+      if (value === '' && !quoted) return
+      switch (type) {
+        case Codec.DataType.INTEGER:
+          if (!/^-?\d+$/.test(value)) throw new ValidationError(`列 ${name} 的值 ${value} 不是整数`)
+          row[name] = Store.Long.fromString(value)
+          break
+        case Codec.DataType.DOUBLE:
+          row[name] = Number(value)
+          if (isNaN(row[name]) && value !== 'NaN') throw new ValidationError(`列 ${name} 的值 ${value} 不是数字`)
+          break
+        case Codec.DataType.BOOLEAN:
+          if (value !== 'true' && value !== 'false') throw new ValidationError(`列 ${name} 的值 ${value} 不是布尔值`)
+          row[name] = value === 'true'
+          break
+        case Codec.DataType.BINARY:
+          row[name] = Buffer.from(value, 'base64')
+          break
+        default:
+          row[name] = value
+      }
+    })
+    return row
+  }
+
+  /**
+   * 将 JSON 行解码为数据行
+   * @param  {String} line JSON 行
+   * @return {Object}      数据行
+   */
+  __fromJsonLine (line) {
+    let obj
+    try {
+      obj = JSON.parse(line)
+    } catch (err) {
+      throw new ValidationError(`不是合法的 JSON：${err.message}`)
+    }
+    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) throw new ValidationError('每行必须为 JSON 对象')
+    let row = {}
+    for (let name in obj) {
+      let value = this.__fromJsonValue(name, obj[name])
+      if (value !== undefined) row[name] = value
+    }
+    return row
+  }
+
+  /**
+   * 将 JSON 值解码为写入值
+   * @param  {String} name  列名
+   * @param  {*}      value JSON 值
+   * @return {*}            写入值（null 为不写入该列）
+   */
+  __fromJsonValue (name, value) {
+    if (value === null) return undefined
+    if (Array.isArray(value)) throw new ValidationError(`列 ${name} 的值不能为数组`)
+    if (typeof value === 'object') {
+      let keys = Object.keys(value)
+      if (keys.length === 1 && keys[0] === '$int' && /^-?\d+$/.test(String(value.$int))) return Store.Long.fromString(String(value.$int))
+      if (keys.length === 1 && keys[0] === '$double' && (!isNaN(Number(value.$double)) || value.$double === 'NaN')) return Number(value.$double)
+      if (keys.length === 1 && keys[0] === '$binary' && typeof value.$binary === 'string') return Buffer.from(value.$binary, 'base64')
+      throw new ValidationError(`列 ${name} 的值 ${JSON.stringify(value)} 不正确`)
+    }
+    // 声明了类型的列由 Codec 转换；未声明时整数写为 INTEGER（与导出一致）
+    if (typeof value === 'number' && Number.isInteger(value) && !this.__declaredType(name)) {
+      if (!Number.isSafeInteger(value)) throw new ValidationError(`列 ${name} 的值 ${value} 不是安全整数，请使用 { $int: '...' }`)
+      return Store.Long.fromNumber(value)
+    }
+    return value
+  }
+
+  /**
+   * 获取主键或属性列声明的类型
+   * @param  {String} name 列名
+   * @return {String}      数据类型，未声明时为 null
+   */
+  __declaredType (name) {
+    let pk = this.table.primaryKeys.find((item) => item.name === name)
+    if (pk) return Codec.normalizeType(pk.type, true)
+    return Codec.normalizeType(this.table.columns[name])
+  }
+
+  /**
+   * 创建 JSON Lines 解析器（按行切分，跳过空行）
+   * @return {Object} { write(text), end(text) }，返回完整的行数组
+   */
+  __createLineParser () {
+    let rest = ''
+    let split = (text, final) => {
+      let lines = (rest + text).split('\n')
+      rest = final ? '' : lines.pop()
+      return lines.map((line) => line.replace(/\r$/, '')).filter((line) => line.trim())
+    }
+    return {
+      write: (text) => split(text, false),
+      end: (text) => split(text, true)
+    }
+  }
+
+  /**
+   * 创建 CSV 解析器（支持引号内的逗号、换行与 "" 转义，记录可以跨越数据块）
+   * @return {Object} { write(text), end(text) }，返回完整的记录数组 [[{ value, quoted }]]
+   */
+  __createCsvParser () {
+    let fields = []
+    let value = ''
+    let quoted = false
+    let inQuotes = false
+    let afterQuote = false
+
+    let endField = () => {
+      fields.push({ value, quoted })
+      value = ''
+      quoted = false
+    }
+    let endRecord = (records) => {
+      endField()
+      // 跳过空行
+      if (fields.length > 1 || fields[0].value !== '' || fields[0].quoted) records.push(fields)
+      fields = []
+    }
+    let parse = (text, final) => {
+      let records = []
+      for (let c of text) {
+        if (inQuotes) {
+          if (c === '"') {
+            inQuotes = false
+            afterQuote = true
+          } else {
+            value += c
+          }
+          continue
+        }
+        if (afterQuote && c === '"') {
+          // "" 转义
+          value += '"'
+          inQuotes = true
+          afterQuote = false
+          continue
+        }
+        afterQuote = false
+        if (c === '"' && value === '' && !quoted) {
+          quoted = inQuotes = true
+        } else if (c === ',') {
+          endField()
+        } else if (c === '\n') {
+          endRecord(records)
+        } else if (c !== '\r') {
+          value += c
+        }
+      }
+      if (final && (value !== '' || quoted || fields.length)) endRecord(records)
+      return records
+    }
+    return {
+      write: (text) => parse(text, false),
+      end: (text) => parse(text, true)
+    }
+  }
+}
+
+module.exports = Transfer
@@ -0,0 +1,145 @@
+const Codec = require('./Codec')
+const { ValidationError } = require('./Errors')
+
+/**
+ * 默认错误信息（{field} 为属性名，{arg} 为规则参数）
+ * @type {Object}
+ */
+const MESSAGES = {
+  required: '{field} 不能为空',
+  type: '{field} 的类型应为 {arg}',
+  min: '{field} 不能小于 {arg}',
+  max: '{field} 不能大于 {arg}',
+  minLength: '{field} 的长度不能小于 {arg}',
+  maxLength: '{field} 的长度不能大于 {arg}',
+  match: '{field} 的格式不正确',
+  enum: '{field} 必须为 {arg} 之一',
+  validate: '{field} 校验失败'
+}
+
+/**
+ * Validator 类（模型属性校验）
+ *
+ * 属性定义支持以下校验规则，值为空（undefined、null）时只检查 required：
+ *   required: true                     必填
+ *   type: Number                       类型（与写入时的类型规则一致）
+ *   min: 0, max: 100                   数值范围；字符串、数组、Buffer 为长度范围
+ *   match: /^[a-z]+$/                  正则
+ *   enum: ['a', 'b']                   枚举
+ *   validate: async (value, instance) => {}   自定义校验（可为数组），返回 false 或字符串、抛出错误时失败
+ *   messages: { min: '年龄太小' }      自定义错误信息
+ */
+class Validator {
+  /**
+   * 校验数据，失败时抛出带 errors 的 ValidationError
+   * @param  {Object} props             规范化后的属性定义
+   * @param  {Object} data              数据
+   * @param  {Object} options           选项
+   * @param  {String} options.name      模型名（用于错误信息）
+   * @param  {Codec}  options.codec     类型校验使用的 Codec
+   * @param  {Object} options.instance  模型实例（传给自定义校验函数）
+   * @return {Promise}                  promise
+   */
+  static async validate (props, data, options = {}) {
+    let errors = await Validator.collect(props, data, options)
+    let fields = Object.keys(errors)
+    if (!fields.length) return
+    let message = fields.map((field) => errors[field].join('；')).join('；')
+    throw new ValidationError(options.name ? `${options.name} 校验失败：${message}` : message, {
+      code: 'ValidationFailed',
+      errors
+    })
+  }
+
+  /**
+   * 收集校验错误
+   * @param  {Object} props    规范化后的属性定义
+   * @param  {Object} data     数据
+   * @param  {Object} options  选项（同 validate）
+   * @return {Promise}         promise，结果为 { 属性名: [错误信息] }
+   */
+  static async collect (props, data, options = {}) {
+    let errors = {}
+    for (let field in props) {
+      let messages = await Validator.validateField(field, props[field], data[field], options)
+      if (messages.length) errors[field] = messages
+    }
+    return errors
+  }
+
+  /**
+   * 校验单个属性
+   * @param  {String} field    属性名
+   * @param  {Object} prop     属性定义
+   * @param  {*}      value    属性值
+   * @param  {Object} options  选项（同 validate）
+   * @return {Promise}         promise，结果为错误信息数组
+   */
+  static async validateField (field, prop, value, options = {}) {
+    let messages = []
+    let fail = (rule, arg) => {
+      let template = (prop.messages || {})[rule] || MESSAGES[rule]
+      messages.push(template.replace('{field}', field).replace('{arg}', arg))
+    }
+
+    if (value === undefined || value === null) {
+      if (prop.required) fail('required')
+      return messages
+    }
+
+    // 类型
+    let type = Codec.normalizeType(prop.type, prop.primaryKey)
+    if (type && options.codec) {
+      try {
+        if (prop.primaryKey) options.codec.encodePrimaryKey(field, value, type)
+        else options.codec.encodeColumn(field, value, type)
+      } catch (err) {
+        if (!(err instanceof ValidationError)) throw err
+        fail('type', type)
+        return messages
+      }
+    }
+
+    // 范围
+    let size = Validator.__size(value)
+    if (prop.min !== undefined && size !== null && size < prop.min) fail(typeof value === 'number' ? 'min' : 'minLength', prop.min)
+    if (prop.max !== undefined && size !== null && size > prop.max) fail(typeof value === 'number' ? 'max' : 'maxLength', prop.max)
+
+    // 正则
+    if (prop.match && !prop.match.test(String(value))) fail('match', prop.match)
+
+    // 枚举
+    if (prop.enum && prop.enum.indexOf(value) < 0) fail('enum', prop.enum.join('、'))
+
+    // 自定义校验
+    for (let fn of [].concat(prop.validate || [])) {
+      let result
+      try {
+        result = await fn(value, options.instance)
+      } catch (err) {
+        messages.push(err.message || MESSAGES.validate.replace('{field}', field))
+        continue
+      }
+      if (typeof result === 'string') messages.push(result)
+      else if (result === false) fail('validate')
+    }
+
+    return messages
+  }
+
+  /**
+   * 获取用于 min/max 比较的大小（数值为值本身，字符串、数组、Buffer 为长度）
+   * @param  {*}      value 值
+   * @return {Number}       大小（不支持比较时为 null）
+   */
+  static __size (value) {
+    if (typeof value === 'number') return value
+    if (Codec.isBigInt(value)) return Number(value)
+    if (typeof value === 'string' || value instanceof Array || value instanceof Buffer) return value.length
+    return null
+  }
+}
+
+Validator.MESSAGES = MESSAGES
+
+module.exports = Validator
@@ -0,0 +1,108 @@
+const assert = require('assert')
+const { Writable } = require('stream')
+const Store = require('tablestore')
+const TableStore = require('../src/TableStore')
+const Cli = require('../src/Cli')
+
+/**
+ * 收集写入内容的可写流
+ * @return {Writable} 可写流（text() 返回已写入的内容）
+ */
+function collect () {
+  let chunks = []
+  let stream = new Writable({
+    write (chunk, encoding, callback) {
+      chunks.push(chunk)
+      callback()
+    }
+  })
+  stream.text = () => Buffer.concat(chunks).toString()
+  return stream
+}
+
+describe('Cli', () => {
+  let driver
+  let table
+
+  beforeEach(async () => {
+    driver = new TableStore.MemoryDriver()
+    let store = new TableStore({ driver })
+    table = store.defineTable('users', { primaryKeys: [{ name: 'uid', type: 'INTEGER' }] })
+    await store.sync({ create: true })
+  })
+
+  /**
+   * 执行命令
+   * @param  {Array}   argv 命令行参数
+   * @return {Promise}      promise，结果为 { code, stdout, stderr }
+   */
+  let run = async (argv) => {
+    let cli = new Cli({ stdout: collect(), stderr: collect(), env: {} })
+    cli.loadConfig = () => ({ driver })
+    let code = await cli.run(argv)
+    return { code, stdout: cli.stdout.text(), stderr: cli.stderr.text() }
+  }
+
+  /**
+   * 读取一行的原始值（不经过 Codec 解码）
+   * @param  {Number} uid 主键
+   * @return {Promise}    promise，结果为 { 列名: SDK 值 }
+   */
+  let rawRow = (uid) => new Promise((resolve, reject) => {
+    driver.getRow({ tableName: 'users', primaryKey: [{ uid: Store.Long.fromNumber(uid) }], maxVersions: 1 }, (err, data) => {
+      if (err) return reject(err)
+      let row = {}
+      for (let item of data.row.attributes) row[item.columnName] = item.columnValue
+      resolve(row)
+    })
+  })
+
+  describe('put', () => {
+    it('未声明类型的列中整数写为 INTEGER，小数写为 DOUBLE', async () => {
+      let result = await run(['put', 'users', '--row', '{"uid":1,"n":3,"f":1.5,"name":"a"}'])
+      assert.strictEqual(result.code, 0, result.stderr)
+      let row = await rawRow(1)
+      assert.ok(row.n instanceof Store.Long.fromNumber(0).constructor)
+      assert.strictEqual(row.n.toString(), '3')
+      assert.deepStrictEqual([row.f, row.name], [1.5, 'a'])
+    })
+
+    it('支持 $int、$double、$binary', async () => {
+      let value = '{"uid":{"$int":"2"},"big":{"$int":"9007199254740993"},"d":{"$double":2},"b":{"$binary":"AQI="},"skip":null}'
+      let result = await run(['put', 'users', '--row', value])
+      assert.strictEqual(result.code, 0, result.stderr)
+      let row = await rawRow(2)
+      assert.deepStrictEqual(Object.keys(row).sort(), ['b', 'big', 'd'])
+      assert.strictEqual(row.big.toString(), '9007199254740993')
+      assert.strictEqual(row.d, 2)
+      assert.deepStrictEqual(row.b, Buffer.from([1, 2]))
+
+      result = await run(['get', 'users', '--pk', '{"uid":2}', '--json'])
+      assert.strictEqual(JSON.parse(result.stdout).big, '9007199254740993')
+    })
+
+    it('不正确的值输出错误', async () => {
+      for (let value of ['[1]', '{"uid":1,"x":{"$int":"1.5"}}', '{"uid":1,"x":9007199254740993}', 'x']) {
+        let result = await run(['put', 'users', '--row', value])
+        assert.strictEqual(result.code, 1, value)
+        assert.ok(result.stderr.startsWith('错误：'), value)
+      }
+      assert.strictEqual((await run(['put', 'users'])).stderr, '错误：缺少 --row 选项\n')
+    })
+  })
+
+  it('get 与 delete', async () => {
+    await table.put({ uid: 3, name: 'c' })
+    let result = await run(['get', 'users', '--pk', '{"uid":3}', '--json'])
+    assert.deepStrictEqual(JSON.parse(result.stdout), { uid: 3, name: 'c' })
+
+    assert.strictEqual((await run(['delete', 'users', '--pk', '{"uid":3}'])).stdout, '已删除\n')
+    assert.strictEqual((await run(['get', 'users', '--pk', '{"uid":3}'])).stdout, '(空)\n')
+  })
+
+  it('帮助信息说明值的写法', async () => {
+    let result = await run(['--help'])
+    assert.strictEqual(result.code, 0)
+    assert.ok(result.stdout.includes('{"$int":"9007199254740993"}'))
+  })
+})
@@ -0,0 +1,105 @@
+const assert = require('assert')
+const Client = require('../src/Client')
+const Errors = require('../src/Errors')
+
+/**
+ * 创建按顺序返回结果的桩驱动
+ * @param  {Array} results 每次调用的结果（Error 实例为失败，undefined 为不回调）
+ * @return {Object}        驱动（calls 为调用过的命令）
+ */
+function stubDriver (results) {
+  let driver = { calls: [] }
+  for (let command of ['getRow', 'putRow', 'updateRow', 'getRange']) {
+    driver[command] = (params, callback) => {
+      let result = results[Math.min(driver.calls.length, results.length - 1)]
+      driver.calls.push(command)
+      if (result === undefined) return
+      setImmediate(() => result instanceof Error ? callback(result) : callback(null, result))
+    }
+  }
+  return driver
+}
+
+/**
+ * 创建带错误码的错误
+ * @param  {String} code 错误码
+ * @return {Error}       错误对象
+ */
+function otsError (code) {
+  let err = new Error(code)
+  err.code = code
+  return err
+}
+
+describe('Client', () => {
+  let client = (driver, options) => new Client(Object.assign({ driver, retryPolicy: { baseDelay: 1, maxDelay: 2 } }, options))
+
+  it('关闭 SDK 内部的重试', () => {
+    let store = new Client({ endpoint: 'http://127.0.0.1:1', instancename: 'test', accessKeyId: 'id', accessKeySecret: 'secret' })
+    assert.strictEqual(store.conn.config.maxRetries, 0)
+  })
+
+  it('流控类错误重试后成功', async () => {
+    let driver = stubDriver([otsError('OTSNotEnoughCapacityUnit'), otsError('OTSNotEnoughCapacityUnit'), { row: {} }])
+    let retries = []
+    let data = await client(driver).request('putRow', {}, { onRetry: (info) => retries.push(info) })
+    assert.deepStrictEqual(data, { row: {} })
+    assert.strictEqual(driver.calls.length, 3)
+    assert.deepStrictEqual(retries.map((item) => [item.command, item.kind, item.attempt]), [
+      ['putRow', 'throttling', 1],
+      ['putRow', 'throttling', 2]
+    ])
+    assert.ok(retries.every((item) => item.error.code === 'OTSNotEnoughCapacityUnit' && item.delay >= 0))
+  })
+
+  it('不可重试的错误直接抛出', async () => {
+    let driver = stubDriver([otsError('OTSParameterInvalid')])
+    await assert.rejects(client(driver).request('getRow', {}), (err) => err instanceof Errors.TableStoreError && err.code === 'OTSParameterInvalid')
+    assert.strictEqual(driver.calls.length, 1)
+  })
+
+  it('超过 maxRetries 后抛出', async () => {
+    let driver = stubDriver([otsError('OTSServerBusy')])
+    await assert.rejects(client(driver, { maxRetries: 2 }).request('getRow', {}), Errors.ServerBusyError)
+    assert.strictEqual(driver.calls.length, 3)
+  })
+
+  describe('写操作', () => {
+    it('可能已经生效的错误不重试', async () => {
+      for (let code of ['OTSInternalServerError', 'OTSRowOperationConflict', 'OTSTimeout']) {
+        let driver = stubDriver([otsError(code), {}])
+        await assert.rejects(client(driver).request('updateRow', {}))
+        assert.strictEqual(driver.calls.length, 1, code)
+      }
+    })
+
+    it('确定未被执行的错误重试', async () => {
+      let driver = stubDriver([otsError('OTSServerBusy'), otsError('OTSTableNotReady'), {}])
+      await client(driver).request('putRow', {})
+      assert.strictEqual(driver.calls.length, 3)
+    })
+
+    it('读操作遇到同样的错误时重试', async () => {
+      let driver = stubDriver([otsError('OTSInternalServerError'), otsError('OTSTimeout'), {}])
+      await client(driver).request('getRange', {})
+      assert.strictEqual(driver.calls.length, 3)
+    })
+  })
+
+  describe('deadline', () => {
+    it('等待后会超过截止时间时不再重试', async () => {
+      let driver = stubDriver([otsError('OTSNotEnoughCapacityUnit')])
+      let store = client(driver, { retryPolicy: { baseDelay: 20, maxDelay: 20 } })
+      let start = Date.now()
+      await assert.rejects(store.request('getRow', {}, { deadline: 50 }), Errors.ThrottledError)
+      assert.ok(Date.now() - start < 100)
+      assert.ok(driver.calls.length < 5)
+    })
+
+    it('请求未返回时在截止时间抛出', async () => {
+      let driver = stubDriver([undefined])
+      await assert.rejects(client(driver, { deadline: 20 }).request('getRow', {}), (err) => err.code === 'RequestDeadlineExceeded')
+      assert.strictEqual(driver.calls.length, 1)
+    })
+  })
+})
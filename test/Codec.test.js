@@ -0,0 +1,82 @@
+const assert = require('assert')
+const Store = require('tablestore')
+const TableStore = require('../src/TableStore')
+const Codec = require('../src/Codec')
+
+describe('Codec', () => {
+  let codec = new Codec()
+  let big = '9007199254740993'
+
+  describe('INTEGER', () => {
+    it('写入 Number、BigInt、数字字符串与 Long', () => {
+      for (let value of [BigInt(big), big, Store.Long.fromString(big)]) {
+        assert.strictEqual(codec.encodeColumn('n', value, 'INTEGER').toString(), big)
+      }
+      assert.strictEqual(codec.encodePrimaryKey('id', -3, 'INTEGER').toString(), '-3')
+      assert.throws(() => codec.encodeColumn('n', 2 ** 53, 'INTEGER'), (err) => err.code === 'InvalidInteger')
+      assert.throws(() => codec.encodeColumn('n', '1.5', 'INTEGER'), (err) => err.code === 'InvalidType')
+    })
+
+    it('按 int64 选项读取', () => {
+      let small = Store.Long.fromNumber(42)
+      let large = Store.Long.fromString(big)
+      assert.deepStrictEqual([codec.decode(small), codec.decode(large)], [42, BigInt(big)])
+      assert.deepStrictEqual([new Codec({ int64: 'number' }).decode(small), new Codec({ int64: 'bigint' }).decode(small)], [42, BigInt(42)])
+      assert.strictEqual(new Codec({ int64: 'string' }).decode(large), big)
+      assert.throws(() => new Codec({ int64: 'long' }), TableStore.ValidationError)
+    })
+  })
+
+  it('未声明类型的列按值推断', () => {
+    assert.ok(codec.encodeColumn('n', BigInt(1)) instanceof Store.Long.fromNumber(0).constructor)
+    assert.strictEqual(codec.encodeColumn('n', 1), 1)
+    assert.strictEqual(codec.encodeColumn('s', '1'), '1')
+    assert.throws(() => codec.encodeColumn('o', {}), TableStore.ValidationError)
+  })
+
+  it('声明的类型与值不符时抛出 ValidationError', () => {
+    let cases = [['DOUBLE', '1'], ['BOOLEAN', 1], ['STRING', 1], ['BINARY', 'x']]
+    for (let [type, value] of cases) {
+      assert.throws(() => codec.encodeColumn('c', value, type), (err) => err instanceof TableStore.ValidationError && err.code === 'InvalidType', type)
+    }
+    assert.throws(() => codec.encodePrimaryKey('id', 1, 'STRING'), TableStore.ValidationError)
+  })
+
+  it('normalizeType', () => {
+    assert.deepStrictEqual([Number, BigInt, String, Boolean, Buffer, 'double', 'x'].map((type) => Codec.normalizeType(type)), [
+      'DOUBLE', 'INTEGER', 'STRING', 'BOOLEAN', 'BINARY', 'DOUBLE', null
+    ])
+    assert.strictEqual(Codec.normalizeType(Number, true), 'INTEGER')
+    assert.strictEqual(Codec.normalizeType(Store.PrimaryKeyType.BINARY, true), 'BINARY')
+  })
+
+  describe('读写数据表', () => {
+    let driver
+
+    beforeEach(() => {
+      driver = new TableStore.MemoryDriver()
+    })
+
+    it('超出安全整数范围的值无损读写', async () => {
+      let store = new TableStore({ driver })
+      let table = store.defineTable('order', { primaryKeys: [{ name: 'id', type: 'INTEGER' }], columns: { amount: 'INTEGER', price: 'DOUBLE' } })
+      await store.sync({ create: true })
+      await table.put({ id: BigInt(big), amount: '-9007199254740995', price: 1, count: BigInt(7) })
+
+      assert.deepStrictEqual(await table.get({ id: big }), { id: BigInt(big), amount: BigInt('-9007199254740995'), price: 1, count: 7 })
+      let raw = await store.getRow({ tableName: 'order', primaryKey: [{ id: Store.Long.fromString(big) }] })
+      let types = raw.row.attributes.map((item) => [item.columnName, typeof item.columnValue])
+      assert.deepStrictEqual(types.sort(), [['amount', 'object'], ['count', 'object'], ['price', 'number']])
+    })
+
+    it('声明的主键与线上表结构不一致时同步失败', async () => {
+      let store = new TableStore({ driver })
+      store.defineTable('order', { primaryKeys: [{ name: 'id', type: 'INTEGER' }] })
+      await store.sync({ create: true })
+
+      let other = new TableStore({ driver })
+      let table = other.defineTable('order', { primaryKeys: [{ name: 'id', type: 'STRING' }] })
+      await assert.rejects(table.sync(), (err) => err instanceof TableStore.ValidationError && err.code === 'PrimaryKeyMismatch')
+    })
+  })
+})
@@ -0,0 +1,74 @@
+const assert = require('assert')
+const TableStore = require('../src/TableStore')
+const Errors = require('../src/Errors')
+
+describe('Errors', () => {
+  describe('TableStoreError.from', () => {
+    let cases = {
+      'OTSConditionCheckFail': Errors.ConditionCheckFailedError,
+      'OTSObjectNotExist': Errors.TableNotFoundError,
+      'OTSParameterInvalid': Errors.ValidationError,
+      'BadRequest': Errors.ValidationError,
+      '400': Errors.ValidationError,
+      'OTSNotEnoughCapacityUnit': Errors.ThrottledError,
+      'OTSServerBusy': Errors.ServerBusyError,
+      '503': Errors.ServerBusyError,
+      'OTSTimeout': Errors.TimeoutError,
+      'RequestDeadlineExceeded': Errors.TimeoutError,
+      'OTSAuthFailed': Errors.TableStoreError
+    }
+
+    for (let code in cases) {
+      it(`${code} 转换为 ${cases[code].name}`, () => {
+        let cause = new Error('failed')
+        cause.code = /^\d+$/.test(code) ? Number(code) : code
+        let err = Errors.TableStoreError.from(cause)
+        assert.strictEqual(err.constructor, cases[code])
+        assert.strictEqual(err.name, cases[code].name)
+        assert.deepStrictEqual([err.code, err.message, err.cause], [cause.code, 'failed', cause])
+      })
+    }
+
+    it('保留请求 id，行级错误没有 cause', () => {
+      let err = Errors.TableStoreError.from({ code: 'OTSServerBusy', headers: { 'x-ots-requestid': 'r1' } })
+      assert.deepStrictEqual([err.requestId, err.message, err.cause], ['r1', 'OTSServerBusy', undefined])
+      assert.strictEqual(Errors.TableStoreError.from(err), err)
+    })
+  })
+
+  it('继承关系', () => {
+    let err = new TableStore.StaleObjectError('stale', { code: 'OTSConditionCheckFail' })
+    assert.ok(err instanceof TableStore.ConditionCheckFailedError)
+    assert.ok(err instanceof TableStore.TableStoreError)
+    assert.ok(err instanceof Error)
+    assert.deepStrictEqual(new TableStore.ValidationError('x', { errors: { a: ['b'] } }).errors, { a: ['b'] })
+  })
+
+  describe('Table 抛出的错误', () => {
+    let store
+    let table
+
+    beforeEach(async () => {
+      store = new TableStore({ driver: new TableStore.MemoryDriver() })
+      table = store.defineTable('user', { primaryKeys: [{ name: 'uid', type: 'INTEGER' }] })
+      await store.sync({ create: true })
+    })
+
+    it('范围读不吞掉表不存在的错误', async () => {
+      let missing = store.defineTable('missing', { primaryKeys: [{ name: 'uid', type: 'INTEGER' }] })
+      // 跳过 describeTable，直接发起范围读
+      missing.isSynced = true
+      await assert.rejects(missing.getRange({ where: {} }), TableStore.TableNotFoundError)
+      await assert.rejects(missing.select({ where: {} }), TableStore.TableNotFoundError)
+    })
+
+    it('条件检查失败、数据不存在与参数错误', async () => {
+      await table.insert({ uid: 1 })
+      await assert.rejects(table.insert({ uid: 1 }), (err) => err instanceof TableStore.ConditionCheckFailedError && err.code === 'OTSConditionCheckFail')
+      await assert.rejects(table.get({ uid: 2 }, { rejectOnEmpty: true }), TableStore.RowNotFoundError)
+      await assert.rejects(table.get({ uid: 1 }, { filter: { $or: [] } }), TableStore.ValidationError)
+      await assert.rejects(table.put(null), TableStore.ValidationError)
+      await assert.rejects(store.request('unknown', {}), TableStore.ValidationError)
+    })
+  })
+})
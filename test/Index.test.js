@@ -0,0 +1,77 @@
+const assert = require('assert')
+const TableStore = require('../src/TableStore')
+
+describe('Index', () => {
+  let driver
+  let store
+  let table
+
+  let definition = {
+    primaryKeys: [{ name: 'uid', type: 'INTEGER' }],
+    columns: { email: String, name: String },
+    indexes: [{ name: 'byEmail', primaryKeys: ['email'], definedColumns: ['name'] }]
+  }
+
+  beforeEach(async () => {
+    driver = new TableStore.MemoryDriver({ rangeLimit: 2 })
+    store = new TableStore({ driver })
+    table = store.defineTable('user', definition)
+    await store.sync({ create: true })
+    await table.batchPut([
+      { uid: 1, email: 'b@x', name: 'b1', age: 1 },
+      { uid: 2, email: 'a@x', name: 'a2', age: 2 },
+      { uid: 3, email: 'b@x', name: 'b3', age: 3 },
+      { uid: 4, name: 'none' }
+    ])
+  })
+
+  it('索引主键为索引列加主表主键', async () => {
+    let index = table.index('byEmail')
+    assert.deepStrictEqual(index.primaryKeys.map((item) => [item.name, item.type]), [['email', 'STRING'], ['uid', 'INTEGER']])
+    assert.strictEqual(table.index('byEmail'), index)
+    assert.throws(() => table.index('byName'), TableStore.ValidationError)
+
+    let bad = store.defineTable('bad', { primaryKeys: [{ name: 'id', type: 'STRING' }], indexes: [{ name: 'byX', primaryKeys: ['x'] }] })
+    assert.throws(() => bad.index('byX'), TableStore.ValidationError)
+  })
+
+  it('按索引列查询', async () => {
+    let index = table.index('byEmail')
+    let rows = await index.query().where({ email: 'b@x' })
+    assert.deepStrictEqual(rows, [{ email: 'b@x', uid: 1, name: 'b1' }, { email: 'b@x', uid: 3, name: 'b3' }])
+    assert.deepStrictEqual((await index.query().where({ email: 'b@x' }).reverse()).map((row) => row.uid), [3, 1])
+    assert.deepStrictEqual((await index.getRange({ where: {} })).map((row) => row.uid), [2, 1, 3])
+  })
+
+  it('fetch 回主表读取完整数据行', async () => {
+    let rows = await table.index('byEmail').query().where({ email: 'b@x' }).fetch()
+    assert.deepStrictEqual(rows.map((row) => [row.uid, row.age]), [[1, 1], [3, 3]])
+
+    let page = await table.index('byEmail').select({ where: {}, limit: 1, fetch: true })
+    assert.deepStrictEqual(page.rows.map((row) => [row.uid, row.age]), [[2, 2]])
+  })
+
+  it('get 使用单行范围读', async () => {
+    let index = table.index('byEmail')
+    assert.deepStrictEqual(await index.get({ email: 'b@x', uid: 3 }), { email: 'b@x', uid: 3, name: 'b3' })
+    assert.strictEqual(await index.get({ email: 'b@x', uid: 2 }), null)
+    await assert.rejects(index.get({ email: 'c@x', uid: 1 }, { rejectOnEmpty: true }), TableStore.RowNotFoundError)
+    assert.deepStrictEqual(await index.query().where({ email: 'a@x', uid: 2 }), [{ email: 'a@x', uid: 2, name: 'a2' }])
+  })
+
+  it('alter 为已有表创建缺少的索引', async () => {
+    let other = new TableStore({ driver })
+    let plain = other.defineTable('plain', { primaryKeys: [{ name: 'uid', type: 'INTEGER' }] })
+    await other.sync({ create: true })
+    await plain.put({ uid: 1, email: 'a@x' })
+
+    let next = new TableStore({ driver })
+    let indexed = next.defineTable('plain', Object.assign({}, definition, { indexes: [{ name: 'plainByEmail', primaryKeys: ['email'] }] }))
+    let report = await next.sync({ alter: true })
+    assert.deepStrictEqual(report.tables[0].changes.indexes.missing, ['plainByEmail'])
+
+    let data = await next.describeTable({ tableName: 'plain' })
+    assert.deepStrictEqual(data.index_metas.map((item) => item.name), ['plainByEmail'])
+    assert.deepStrictEqual(await indexed.index('plainByEmail').get({ email: 'a@x', uid: 1 }), { email: 'a@x', uid: 1 })
+  })
+})
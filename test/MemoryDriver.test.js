@@ -0,0 +1,103 @@
+const assert = require('assert')
+const TableStore = require('../src/TableStore')
+
+describe('MemoryDriver', () => {
+  let store
+  let table
+
+  beforeEach(async () => {
+    store = new TableStore({ driver: new TableStore.MemoryDriver({ rangeLimit: 2 }) })
+    table = store.defineTable('event', {
+      primaryKeys: [{ name: 'uid', type: 'INTEGER' }, { name: 'id', type: 'STRING' }],
+      columns: { n: 'INTEGER', score: Number, name: String }
+    })
+    await store.sync({ create: true })
+  })
+
+  describe('单行读写', () => {
+    it('put、get、update、delete', async () => {
+      await table.put({ uid: 1, id: 'a', n: 1, name: 'x' })
+      assert.deepStrictEqual(await table.get({ uid: 1, id: 'a' }), { uid: 1, id: 'a', n: 1, name: 'x' })
+
+      let row = await table.update({ uid: 1, id: 'a', $inc: { n: 5 } }, { returnColumns: ['n'] })
+      assert.strictEqual(row.n, 6)
+
+      await table.delete({ uid: 1, id: 'a' })
+      assert.strictEqual(await table.get({ uid: 1, id: 'a' }), null)
+    })
+
+    it('行存在性期望不满足时抛出 ConditionCheckFailedError', async () => {
+      await table.put({ uid: 1, id: 'a', n: 1 })
+      await assert.rejects(table.insert({ uid: 1, id: 'a', n: 2 }), TableStore.ConditionCheckFailedError)
+      await assert.rejects(table.update({ uid: 2, id: 'a', n: 2 }), TableStore.ConditionCheckFailedError)
+    })
+
+    it('列条件', async () => {
+      await table.put({ uid: 1, id: 'a', n: 1 })
+      await assert.rejects(table.update({ uid: 1, id: 'a', n: 2 }, { where: { n: { $gt: 1 } } }), TableStore.ConditionCheckFailedError)
+      await table.update({ uid: 1, id: 'a', n: 2 }, { where: { n: { $gte: 1 } } })
+      assert.strictEqual((await table.get({ uid: 1, id: 'a' })).n, 2)
+    })
+  })
+
+  describe('过滤条件', () => {
+    beforeEach(async () => {
+      await table.batchPut([
+        { uid: 1, id: 'a', n: 1, tag: 1 },
+        { uid: 1, id: 'b', name: '1', tag: '1' },
+        { uid: 1, id: 'c', score: 1.5 },
+        { uid: 1, id: 'd', score: NaN },
+        { uid: 1, id: 'e' }
+      ])
+    })
+
+    let ids = async (filter) => (await table.getRange({ where: { uid: 1 }, filter })).map((row) => row.id)
+
+    it('类型不同的值不满足任何比较（包括 !=）', async () => {
+      // 未声明类型的列，缺少该列的行默认满足条件
+      assert.deepStrictEqual(await ids({ tag: 1 }), ['a', 'c', 'd', 'e'])
+      assert.deepStrictEqual(await ids({ tag: { $ne: 1 } }), ['c', 'd', 'e'])
+      assert.deepStrictEqual(await ids({ tag: { $ne: '2' } }), ['b', 'c', 'd', 'e'])
+      assert.deepStrictEqual(await ids({ tag: { $gte: 0 } }), ['a', 'c', 'd', 'e'])
+    })
+
+    it('NaN 只满足 !=', async () => {
+      assert.deepStrictEqual(await ids({ score: { $gte: -Infinity } }), ['a', 'b', 'c', 'e'])
+      assert.deepStrictEqual(await ids({ score: { $ne: 0 } }), ['a', 'b', 'c', 'd', 'e'])
+    })
+
+    it('$exists', async () => {
+      assert.deepStrictEqual(await ids({ n: { $exists: true } }), ['a'])
+      assert.deepStrictEqual(await ids({ name: { $exists: true } }), ['b'])
+      assert.deepStrictEqual(await ids({ score: { $exists: true } }), ['c', 'd'])
+      assert.deepStrictEqual(await ids({ score: { $exists: false } }), ['a', 'b', 'e'])
+    })
+  })
+
+  describe('范围读', () => {
+    it('按 rangeLimit 分页读取所有行', async () => {
+      await table.batchPut(['a', 'b', 'c', 'd', 'e'].map((id) => ({ uid: 1, id })))
+      await table.put({ uid: 2, id: 'a' })
+
+      let page = await table.select({ where: { uid: 1 }, limit: 2 })
+      assert.deepStrictEqual(page.rows.map((row) => row.id), ['a', 'b'])
+      page = await table.select({ where: { uid: 1 }, limit: 2, after: page.nextToken })
+      assert.deepStrictEqual(page.rows.map((row) => row.id), ['c', 'd'])
+
+      assert.deepStrictEqual((await table.getRange({ where: { uid: 1 } })).map((row) => row.id), ['a', 'b', 'c', 'd', 'e'])
+    })
+  })
+
+  describe('局部事务', () => {
+    it('中止时恢复数据，提交时保留', async () => {
+      await assert.rejects(table.transaction(1, async (tx) => {
+        await tx.put({ id: 'tx', n: 1 })
+        throw new Error('abort')
+      }), /abort/)
+      assert.strictEqual(await table.get({ uid: 1, id: 'tx' }), null)
+
+      await table.transaction(1, async (tx) => { await tx.put({ id: 'tx', n: 1 }) })
+      assert.strictEqual((await table.get({ uid: 1, id: 'tx' })).n, 1)
+    })
+  })
+})
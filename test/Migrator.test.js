@@ -0,0 +1,74 @@
+const assert = require('assert')
+const TableStore = require('../src/TableStore')
+
+describe('Migrator', () => {
+  let store
+  let log
+
+  /**
+   * 创建记录执行顺序的迁移
+   * @param  {String} name 迁移名
+   * @return {Object}      迁移 { name, up, down }
+   */
+  let migration = (name) => ({
+    name,
+    up: async () => log.push(`up ${name}`),
+    down: async () => log.push(`down ${name}`)
+  })
+
+  beforeEach(() => {
+    store = new TableStore({ driver: new TableStore.MemoryDriver() })
+    log = []
+  })
+
+  it('执行、查看与回滚迁移', async () => {
+    let migrator = store.migrator({ migrations: [migration('2_b'), migration('1_a'), migration('3_c')] })
+    assert.deepStrictEqual(await migrator.migrate({ to: '2_b' }), ['1_a', '2_b'])
+    assert.deepStrictEqual((await migrator.status()).map((item) => [item.name, item.applied]), [['1_a', true], ['2_b', true], ['3_c', false]])
+
+    assert.deepStrictEqual(await migrator.migrate(), ['3_c'])
+    assert.deepStrictEqual(await migrator.rollback({ step: 2 }), ['3_c', '2_b'])
+    assert.deepStrictEqual(log, ['up 1_a', 'up 2_b', 'up 3_c', 'down 3_c', 'down 2_b'])
+  })
+
+  it('其他进程持有锁时抛出 MigrationLockedError', async () => {
+    let first = store.migrator({ migrations: [migration('1_a')] })
+    let second = store.migrator({ migrations: [migration('1_a')] })
+    await first.__lock()
+    await assert.rejects(second.migrate(), TableStore.MigrationLockedError)
+
+    await first.__unlock()
+    assert.deepStrictEqual(await second.migrate(), ['1_a'])
+  })
+
+  it('多个进程同时创建记账表', async () => {
+    let migrators = [store.migrator({ migrations: [] }), store.migrator({ migrations: [] })]
+    // 两个进程都在对方创建之前查询表列表
+    let listTable = store.listTable.bind(store)
+    let pending = []
+    store.listTable = async () => {
+      let result = await listTable()
+      await new Promise((resolve) => pending.push(resolve) === migrators.length && pending.forEach((fn) => fn()))
+      return result
+    }
+    await Promise.all(migrators.map((migrator) => migrator.__ensureTable()))
+    assert.ok(migrators.every((migrator) => migrator.table.isSynced))
+  })
+
+  it('释放锁失败时仍抛出迁移的错误', async () => {
+    let failed = new Error('up failed')
+    let migrator = store.migrator({ migrations: [{ name: '1_a', up: async () => { throw failed } }] })
+    let unlockError = new Error('unlock failed')
+    migrator.__unlock = async () => { throw unlockError }
+
+    await assert.rejects(migrator.migrate(), (err) => err === failed && err.unlockError === unlockError)
+  })
+
+  it('迁移成功后释放锁失败时抛出释放锁的错误', async () => {
+    let migrator = store.migrator({ migrations: [migration('1_a')] })
+    let unlockError = new Error('unlock failed')
+    migrator.__unlock = async () => { throw unlockError }
+
+    await assert.rejects(migrator.migrate(), (err) => err === unlockError)
+  })
+})
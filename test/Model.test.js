@@ -0,0 +1,200 @@
+const assert = require('assert')
+const TableStore = require('../src/TableStore')
+const Model = require('../src/Model')
+
+describe('Model', () => {
+  let store
+
+  beforeEach(() => {
+    store = new TableStore({ driver: new TableStore.MemoryDriver() })
+  })
+
+  describe('基本操作', () => {
+    let User
+
+    beforeEach(async () => {
+      User = store.defineModel('User', {
+        uid: { type: Number, primaryKey: true },
+        name: String,
+        age: Number,
+        active: { type: Boolean, defaultValue: true }
+      }, { tableName: 'user' })
+      await store.sync({ create: true })
+    })
+
+    it('由属性定义生成主键与列类型', () => {
+      assert.strictEqual(User.modelName, 'User')
+      assert.strictEqual(store.models.User, User)
+      assert.deepStrictEqual(User.table.primaryKeys.map((item) => [item.name, item.type]), [['uid', 'INTEGER']])
+      assert.deepStrictEqual(User.table.columns, { name: 'STRING', age: 'DOUBLE', active: 'BOOLEAN' })
+      assert.throws(() => store.defineModel('Bad', { id: { type: Boolean, primaryKey: true } }), TableStore.ValidationError)
+    })
+
+    it('属性访问器、默认值与修改状态', () => {
+      let user = new User({ uid: 1, name: 'a' })
+      assert.strictEqual(user.active, true)
+      assert.deepStrictEqual(user.changed().sort(), ['active', 'name', 'uid'])
+
+      user = User.build({ uid: 1, name: 'a', active: false })
+      assert.strictEqual(user.isDirty(), false)
+      user.name = 'a'
+      assert.strictEqual(user.isDirty('name'), false)
+      user.set({ name: 'b', age: 3 })
+      assert.deepStrictEqual(user.changed(), ['name', 'age'])
+      assert.deepStrictEqual(user.getPrimaryKey(), { uid: 1 })
+      assert.deepStrictEqual(user.toJSON(), { uid: 1, name: 'b', active: false, age: 3 })
+    })
+
+    it('create、findOne、save 与 destroy', async () => {
+      let user = await User.create({ uid: 1, name: 'a', age: 20 })
+      assert.strictEqual(user.isNewRecord, false)
+      assert.deepStrictEqual((await User.findOne({ uid: 1 })).toJSON(), { uid: 1, name: 'a', age: 20, active: true })
+
+      // 已有记录只更新修改过的列
+      await User.table.update({ uid: 1, age: 21 })
+      user.name = 'b'
+      await user.save()
+      assert.deepStrictEqual((await User.findOne({ uid: 1 })).toJSON(), { uid: 1, name: 'b', age: 21, active: true })
+
+      await user.destroy()
+      assert.strictEqual(await User.findOne({ uid: 1 }), null)
+    })
+
+    it('find、findPage 与静态方法', async () => {
+      for (let uid = 1; uid <= 3; uid++) await User.save({ uid, name: `u${uid}` })
+      let users = await User.find({ where: {} })
+      assert.ok(users.every((user) => user instanceof User && !user.isNewRecord))
+      assert.deepStrictEqual(users.map((user) => user.name), ['u1', 'u2', 'u3'])
+
+      let page = await User.findPage({ where: {}, limit: 2 })
+      assert.deepStrictEqual(page.rows.map((user) => user.uid), [1, 2])
+      page = await User.findPage({ where: {}, limit: 2, after: page.nextToken })
+      assert.deepStrictEqual(page.rows.map((user) => user.uid), [3])
+
+      await User.destroy({ uid: 2 })
+      assert.deepStrictEqual((await User.find({ where: {} })).map((user) => user.uid), [1, 3])
+    })
+  })
+
+  describe('属性校验', () => {
+    let User
+
+    beforeEach(async () => {
+      User = store.defineModel('User', {
+        uid: { type: Number, primaryKey: true },
+        name: { type: String, required: true, min: 2, max: 5 },
+        age: { type: Number, min: 0, max: 150, messages: { max: '年龄不正确' } },
+        email: { type: String, match: /^\S+@\S+$/ },
+        role: { type: String, enum: ['admin', 'user'] },
+        nick: { type: String, validate: [async (value) => value !== 'taken' || '昵称已被占用', (value) => value !== 'bad'] }
+      }, { tableName: 'user' })
+      await store.sync({ create: true })
+    })
+
+    it('收集每个属性的错误信息', async () => {
+      let data = { uid: 1, name: 'c', age: 200, email: 'x', role: 'guest', nick: 'taken' }
+      let err = await User.create(data).catch((err) => err)
+      assert.ok(err instanceof TableStore.ValidationError)
+      assert.deepStrictEqual(err.errors, {
+        name: ['name 的长度不能小于 2'],
+        age: ['年龄不正确'],
+        email: ['email 的格式不正确'],
+        role: ['role 必须为 admin、user 之一'],
+        nick: ['昵称已被占用']
+      })
+      assert.strictEqual(await User.findOne({ uid: 1 }), null)
+    })
+
+    it('必填、类型与自定义校验返回 false', async () => {
+      let err = await User.create({ name: 1, nick: 'bad' }).catch((err) => err)
+      assert.deepStrictEqual(err.errors, { uid: ['uid 不能为空'], name: ['name 的类型应为 STRING'], nick: ['nick 校验失败'] })
+      await User.create({ uid: 1, name: 'ok', age: 20, email: 'a@b', role: 'user', nick: 'fine' })
+    })
+  })
+
+  describe('生命周期钩子', () => {
+    let calls
+    let Post
+
+    beforeEach(async () => {
+      calls = []
+      let hooks = {}
+      for (let name of Model.HOOKS) hooks[name] = (post) => calls.push(`${name} ${post.id}`)
+      Post = store.defineModel('Post', { id: { type: String, primaryKey: true }, title: String }, { tableName: 'post', hooks })
+      await store.sync({ create: true })
+    })
+
+    it('按顺序执行，全局钩子先于模型钩子', async () => {
+      store.addHook('beforeSave', (post) => { post.title = post.title.trim(); calls.push(`global ${post.id}`) })
+      Post.addHook('beforeSave', (post) => calls.push(`second ${post.id}`))
+
+      let post = await Post.create({ id: 'a', title: ' x ' })
+      await Post.findOne({ id: 'a' })
+      await post.destroy()
+      assert.deepStrictEqual(calls, ['beforeValidate a', 'global a', 'beforeSave a', 'second a', 'afterSave a', 'afterFind a', 'beforeDestroy a'])
+      assert.strictEqual(post.title, 'x')
+    })
+
+    it('钩子抛出错误时中止操作', async () => {
+      Post.addHook('beforeDestroy', async () => { throw new Error('locked') })
+      await Post.create({ id: 'a', title: 'x' })
+      await assert.rejects(Post.destroy({ id: 'a' }), /locked/)
+      assert.ok(await Post.findOne({ id: 'a' }))
+    })
+
+    it('不支持的钩子', () => {
+      assert.throws(() => Post.addHook('afterDestroy', () => {}), TableStore.ValidationError)
+      assert.throws(() => store.addHook('beforeSave', 'x'), TableStore.ValidationError)
+    })
+  })
+
+  describe('乐观锁', () => {
+    let Doc
+
+    beforeEach(async () => {
+      Doc = store.defineModel('Doc', {
+        id: { type: Number, primaryKey: true },
+        name: String
+      }, { tableName: 'doc', versionKey: 'v' })
+      await store.sync({ create: true })
+    })
+
+    it('save 时检查版本并加 1', async () => {
+      let doc = await Doc.create({ id: 1, name: 'a' })
+      assert.strictEqual(doc.v, 1)
+
+      let stale = await Doc.findOne({ id: 1 })
+      doc.name = 'b'
+      await doc.save()
+      assert.strictEqual(doc.v, 2)
+
+      stale.name = 'c'
+      await assert.rejects(stale.save(), TableStore.StaleObjectError)
+      assert.strictEqual((await Doc.findOne({ id: 1 })).name, 'b')
+    })
+
+    it('静态 save 写入版本列', async () => {
+      let doc = await Doc.save({ id: 99, name: 'zz' })
+      assert.strictEqual(doc.v, 1)
+      assert.strictEqual((await Doc.findOne({ id: 99 })).v, 1)
+
+      doc = await Doc.save({ id: 99, name: 'yy' })
+      assert.strictEqual(doc.v, 2)
+
+      let found = await Doc.findOne({ id: 99 })
+      found.name = 'xx'
+      await found.save()
+      assert.strictEqual((await Doc.findOne({ id: 99 })).v, 3)
+    })
+
+    it('静态 save 指定的版本已被修改时抛出 StaleObjectError', async () => {
+      await Doc.create({ id: 1, name: 'a' })
+      let stale = (await Doc.findOne({ id: 1 })).toJSON()
+      await Doc.save({ id: 1, name: 'b' })
+
+      await assert.rejects(Doc.save(Object.assign(stale, { name: 'c' })), TableStore.StaleObjectError)
+      let row = await Doc.findOne({ id: 1 })
+      assert.deepStrictEqual([row.name, row.v], ['b', 2])
+    })
+  })
+})
@@ -0,0 +1,90 @@
+const assert = require('assert')
+const TableStore = require('../src/TableStore')
+
+describe('Query', () => {
+  let store
+  let table
+
+  beforeEach(async () => {
+    store = new TableStore({ driver: new TableStore.MemoryDriver({ rangeLimit: 2 }) })
+    table = store.defineTable('event', {
+      primaryKeys: [{ name: 'uid', type: 'INTEGER' }, { name: 'ts', type: 'INTEGER' }, { name: 'id', type: 'STRING' }]
+    })
+    await store.sync({ create: true })
+
+    let rows = []
+    for (let ts = 1; ts <= 8; ts++) rows.push({ uid: 1, ts, id: 'a' }, { uid: 1, ts, id: 'b' })
+    rows.push({ uid: 2, ts: 1, id: 'a' })
+    await table.batchPut(rows)
+  })
+
+  let keys = (rows) => rows.map((row) => `${row.uid}:${row.ts}${row.id}`)
+
+  describe('range', () => {
+    it('包含 from，不包含 to', async () => {
+      let rows = await table.query().where({ uid: 1 }).range('ts', 3, 5)
+      assert.deepStrictEqual(keys(rows), ['1:3a', '1:3b', '1:4a', '1:4b'])
+    })
+
+    it('逆序读取返回与正序相同的行', async () => {
+      let query = table.query().where({ uid: 1 }).range('ts', 3, 5)
+      assert.deepStrictEqual(keys(await query.reverse()), ['1:4b', '1:4a', '1:3b', '1:3a'])
+    })
+
+    it('范围列为最后一个主键列时逆序读取', async () => {
+      let query = table.query().where({ uid: 1, ts: 2 }).range('id', 'a', 'b')
+      assert.deepStrictEqual(keys(await query), ['1:2a'])
+      assert.deepStrictEqual(keys(await query.reverse()), ['1:2a'])
+    })
+
+    it('整数范围列为最后一个主键列时逆序读取', async () => {
+      let log = store.defineTable('log', { primaryKeys: [{ name: 'uid', type: 'INTEGER' }, { name: 'ts', type: 'INTEGER' }] })
+      await store.sync({ create: true })
+      await log.batchPut([1, 2, 3, 4, 5, 6, 7].map((ts) => ({ uid: 1, ts })))
+      let rows = await log.query().where({ uid: 1 }).range('ts', 3, 6).reverse()
+      assert.deepStrictEqual(rows.map((row) => row.ts), [5, 4, 3])
+    })
+
+    it('逆序读取与 limit', async () => {
+      let rows = await table.query().where({ uid: 1 }).range('ts', null, 3).reverse().limit(3)
+      assert.deepStrictEqual(keys(rows), ['1:2b', '1:2a', '1:1b'])
+    })
+  })
+
+  describe('主键检查', () => {
+    let rejects = (query) => assert.rejects(query.exec(), TableStore.ValidationError)
+
+    it('range 必须为 where 之后的主键列', async () => {
+      await rejects(table.query().range('ts', 2, 4))
+      await rejects(table.query().where({ uid: 1 }).range('id', 'a', 'b'))
+      await rejects(table.query().where({ uid: 1 }).range('name', 'a', 'b'))
+      await rejects(table.query().where({ uid: 1, ts: 1, id: 'a' }).range('id', 'a', 'b'))
+      assert.deepStrictEqual(keys(await table.query().range('uid', 2)), ['2:1a'])
+    })
+
+    it('where 必须为主键前缀', async () => {
+      await rejects(table.query().where({ ts: 1 }))
+      await rejects(table.query().where({ uid: 1, id: 'a' }))
+      await rejects(table.query().where({ uid: 1, name: 'a' }))
+    })
+  })
+
+  describe('where', () => {
+    it('主键前缀', async () => {
+      let rows = await table.query().where({ uid: 1, ts: 8 })
+      assert.deepStrictEqual(keys(rows), ['1:8a', '1:8b'])
+      assert.deepStrictEqual(keys(await table.query().where({ uid: 1, ts: 8 }).reverse()), ['1:8b', '1:8a'])
+    })
+
+    it('完整主键只返回该行', async () => {
+      let query = table.query().where({ uid: 1, ts: 3, id: 'a' })
+      assert.deepStrictEqual(keys(await query), ['1:3a'])
+      assert.deepStrictEqual(keys(await query.reverse()), ['1:3a'])
+      assert.deepStrictEqual(await table.query().where({ uid: 1, ts: 3, id: 'c' }), [])
+    })
+  })
+
+  it('latest', async () => {
+    assert.deepStrictEqual(keys(await table.latest({ uid: 1 }, 3)), ['1:8b', '1:8a', '1:7b'])
+  })
+})
@@ -0,0 +1,183 @@
+const assert = require('assert')
+const Store = require('tablestore')
+const TableStore = require('../src/TableStore')
+const Search = require('../src/Search')
+
+/**
+ * 创建按 token 分页返回数据行的替身 store（只实现 search）
+ * @param  {Array}  rows  数据行 { uid, name, city, age }
+ * @param  {Number} limit 每页行数
+ * @return {Object}       替身 store（calls 为收到的 search 参数）
+ */
+function stubStore (rows, limit) {
+  let store = { calls: [] }
+  store.search = async (params) => {
+    store.calls.push(params)
+    let { searchQuery } = params
+    let start = searchQuery.token ? Number(searchQuery.token.toString()) : searchQuery.offset
+    let end = start + Math.min(searchQuery.limit, limit)
+    return {
+      rows: rows.slice(start, end).map((row) => ({
+        primaryKey: [{ name: 'uid', value: Store.Long.fromNumber(row.uid) }],
+        attributes: Object.keys(row).filter((name) => name !== 'uid' && row[name] !== undefined).map((name) => ({
+          columnName: name,
+          columnValue: name === 'age' ? Store.Long.fromNumber(row[name]) : row[name]
+        }))
+      })),
+      nextToken: end < rows.length ? Buffer.from(String(end)) : Buffer.alloc(0),
+      totalCounts: searchQuery.getTotalCount ? rows.length : undefined
+    }
+  }
+  return store
+}
+
+describe('Search', () => {
+  describe('查询表达式', () => {
+    it('编译各类查询', () => {
+      assert.deepStrictEqual(Search.parseQuery(), { queryType: Store.QueryType.MATCH_ALL_QUERY, query: {} })
+      assert.deepStrictEqual(Search.parseQuery({ term: { city: '北京' } }), {
+        queryType: Store.QueryType.TERM_QUERY, query: { fieldName: 'city', term: '北京' }
+      })
+      assert.deepStrictEqual(Search.parseQuery({ terms: { city: ['北京', '上海'] } }), {
+        queryType: Store.QueryType.TERMS_QUERY, query: { fieldName: 'city', terms: ['北京', '上海'] }
+      })
+      assert.deepStrictEqual(Search.parseQuery({ prefix: { name: 'ab' } }), {
+        queryType: Store.QueryType.PREFIX_QUERY, query: { fieldName: 'name', prefix: 'ab' }
+      })
+
+      let range = Search.parseQuery({ range: { age: { gte: 18, lt: 60 } } }).query
+      assert.deepStrictEqual([range.fieldName, range.rangeFrom, range.includeLower, range.rangeTo, range.includeUpper], ['age', 18, true, 60, false])
+      assert.strictEqual(Search.parseQuery({ match: { name: '张三' } }).query.fieldName, 'name')
+    })
+
+    it('bool 嵌套与多个条件', () => {
+      let bool = Search.parseQuery({
+        bool: {
+          must: [{ term: { city: '北京' } }],
+          mustNot: { bool: { should: [{ prefix: { name: 'a' } }, { prefix: { name: 'b' } }] } }
+        }
+      })
+      assert.strictEqual(bool.queryType, Store.QueryType.BOOL_QUERY)
+      assert.strictEqual(bool.query.mustQueries[0].queryType, Store.QueryType.TERM_QUERY)
+      assert.strictEqual(bool.query.mustNotQueries[0].queryType, Store.QueryType.BOOL_QUERY)
+      assert.strictEqual(bool.query.mustNotQueries[0].query.shouldQueries.length, 2)
+
+      let multi = Search.parseQuery({ term: { city: '北京' }, prefix: { name: 'a' } })
+      assert.strictEqual(multi.queryType, Store.QueryType.BOOL_QUERY)
+      assert.strictEqual(multi.query.mustQueries.length, 2)
+    })
+
+    it('查询值经过 encode', () => {
+      let query = Search.parseQuery({ terms: { age: [1, 2] } }, (name, value) => `${name}:${value}`)
+      assert.deepStrictEqual(query.query.terms, ['age:1', 'age:2'])
+    })
+
+    it('不正确的表达式抛出 ValidationError', () => {
+      let queries = [
+        'city',
+        { unknown: { city: 1 } },
+        { terms: { city: [] } },
+        { prefix: { name: 1 } },
+        { range: { age: { from: 1 } } },
+        { term: { city: '北京', name: 'a' } },
+        { bool: { must: 'x' } }
+      ]
+      for (let query of queries) {
+        assert.throws(() => Search.parseQuery(query), TableStore.ValidationError, JSON.stringify(query))
+      }
+    })
+  })
+
+  describe('聚合', () => {
+    let rows = [
+      { uid: 1, name: 'a', city: '北京', age: 20 },
+      { uid: 2, name: 'b', city: '上海', age: 30 },
+      { uid: 3, name: 'c', city: '北京', age: 40 },
+      { uid: 4, name: 'd', city: '深圳' },
+      { uid: 5, name: 'e', age: 50 }
+    ]
+    let table
+    let fake
+
+    beforeEach(async () => {
+      let store = new TableStore({ driver: new TableStore.MemoryDriver() })
+      table = store.defineTable('user', {
+        primaryKeys: [{ name: 'uid', type: 'INTEGER' }],
+        columns: { name: String, city: String },
+        searchIndexes: { userIndex: { fields: { name: 'keyword', city: 'keyword', age: 'long' } } }
+      })
+      await store.sync({ create: true })
+      fake = stubStore(rows, 2)
+      table.setStore(fake)
+    })
+
+    it('跨 nextToken 分页累加', async () => {
+      let result = await table.search({
+        query: { range: { age: { gte: 0 } } },
+        limit: 2,
+        total: true,
+        aggregations: {
+          count: { count: '*' },
+          withAge: { count: 'age' },
+          sum: { sum: 'age' },
+          avg: { avg: 'age' },
+          min: { min: 'age' },
+          max: { max: 'age' },
+          cities: { distinctCount: 'city' },
+          byCity: { groupBy: 'city' },
+          ageByCity: { groupBy: 'city', aggregations: { n: { count: '*' }, maxAge: { max: 'age' } } }
+        }
+      })
+
+      assert.deepStrictEqual(result.rows.map((row) => row.uid), [1, 2])
+      assert.strictEqual(result.total, 5)
+      assert.deepStrictEqual(result.aggregations, {
+        count: 5,
+        withAge: 4,
+        sum: 140,
+        avg: 35,
+        min: 20,
+        max: 50,
+        cities: 3,
+        byCity: { '北京': 2, '上海': 1, '深圳': 1 },
+        ageByCity: {
+          '北京': { n: 2, maxAge: 40 },
+          '上海': { n: 1, maxAge: 30 },
+          '深圳': { n: 1, maxAge: null }
+        }
+      })
+
+      // 第一次为 search 本身，之后按 token 读完所有页，只读取聚合用到的列
+      let pages = fake.calls.slice(1)
+      assert.strictEqual(pages.length, 3)
+      assert.strictEqual(pages[0].searchQuery.token, undefined)
+      assert.deepStrictEqual(pages.slice(1).map((params) => params.searchQuery.token.toString()), ['2', '4'])
+      assert.deepStrictEqual(pages[0].columnToGet.returnNames.sort(), ['age', 'city'])
+      assert.ok(Store.Long.fromNumber(0).constructor === pages[0].searchQuery.query.query.rangeFrom.constructor)
+    })
+
+    it('继续读取下一页', async () => {
+      let page = await table.search({ limit: 2 })
+      assert.deepStrictEqual(page.rows.map((row) => row.uid), [1, 2])
+      page = await table.search({ after: page.nextToken })
+      assert.deepStrictEqual(page.rows.map((row) => row.uid), [3, 4])
+      page = await table.search({ after: page.nextToken })
+      assert.deepStrictEqual(page.rows.map((row) => row.uid), [5])
+      assert.strictEqual(page.nextToken, null)
+    })
+
+    it('不正确的聚合定义抛出 ValidationError', () => {
+      let definitions = [
+        { x: { median: 'age' } },
+        { x: { sum: '*' } },
+        { x: { groupBy: '*' } },
+        { x: { groupBy: 'city', aggregations: {} } },
+        { x: { groupBy: 'city', aggregations: { y: { avg: '*' } } } },
+        { x: { count: 'age', aggregations: { y: { count: '*' } } } }
+      ]
+      for (let aggregations of definitions) {
+        assert.throws(() => Search.aggregate([], aggregations), TableStore.ValidationError, JSON.stringify(aggregations))
+      }
+    })
+  })
+})
@@ -0,0 +1,395 @@
+const assert = require('assert')
+const TableStore = require('../src/TableStore')
+
+/**
+ * 让驱动的批量命令在前几次请求中，偶数位置以外的行返回行级错误（这些行不执行）
+ * @param  {MemoryDriver} driver   内存驱动
+ * @param  {String}       command  batchWriteRow 或 batchGetRow
+ * @param  {Number}       times    失败的请求次数
+ * @param  {String}       code     错误码
+ * @return {Array}                 每次请求的行数
+ */
+function flaky (driver, command, times, code = 'OTSServerBusy') {
+  let key = command === 'batchWriteRow' ? 'rows' : 'primaryKey'
+  let original = driver[command].bind(driver)
+  let sizes = []
+  driver[command] = (params, callback) => {
+    let item = params.tables[0]
+    sizes.push(item[key].length)
+    if (sizes.length > times) return original(params, callback)
+
+    let keep = item[key].filter((row, i) => i % 2 === 0)
+    original({ tables: [Object.assign({}, item, { [key]: keep })] }, (err, data) => {
+      if (err) return callback(err)
+      let results = command === 'batchWriteRow' ? data.tables : data.tables[0]
+      let merged = item[key].map((row, i) => i % 2 === 0 ? results[i / 2] : { isOk: false, errorCode: code, errorMessage: code })
+      callback(null, { tables: command === 'batchWriteRow' ? merged : [merged] })
+    })
+  }
+  return sizes
+}
+
+describe('Table', () => {
+  let store
+  let table
+
+  beforeEach(async () => {
+    store = new TableStore({ driver: new TableStore.MemoryDriver({ rangeLimit: 2 }) })
+    table = store.defineTable('event', {
+      primaryKeys: [{ name: 'uid', type: 'INTEGER' }, { name: 'id', type: 'STRING' }]
+    })
+    await store.sync({ create: true })
+
+    let rows = []
+    for (let uid = 1; uid <= 3; uid++) {
+      for (let id of ['a', 'b', 'c', 'd']) rows.push({ uid, id })
+    }
+    await table.batchPut(rows)
+  })
+
+  let keys = (rows) => rows.map((row) => `${row.uid}${row.id}`)
+
+  describe('逆序读取', () => {
+    let ranges = {
+      '完整主键': { startRow: { uid: 1, id: 'b' }, endRow: { uid: 3, id: 'b' } },
+      '部分主键': { startRow: { uid: 2 }, endRow: { uid: 3 } },
+      '不存在的完整主键': { startRow: { uid: 1, id: 'bb' }, endRow: { uid: 2, id: 'bb' } },
+      'where 前缀': { where: { uid: 2 } },
+      '全表': { where: {} }
+    }
+
+    for (let name in ranges) {
+      it(`getRange 返回与正序相同的行（${name}）`, async () => {
+        let forward = keys(await table.getRange(ranges[name]))
+        let backward = keys(await table.getRange(Object.assign({ direction: 'backward' }, ranges[name])))
+        assert.ok(forward.length)
+        assert.deepStrictEqual(backward, forward.slice().reverse())
+      })
+    }
+
+    it('包含 startRow，不包含 endRow', async () => {
+      let options = { startRow: { uid: 1, id: 'c' }, endRow: { uid: 2, id: 'b' }, direction: 'backward' }
+      assert.deepStrictEqual(keys(await table.getRange(options)), ['2a', '1d', '1c'])
+    })
+
+    it('select 分页', async () => {
+      let options = { startRow: { uid: 1, id: 'b' }, endRow: { uid: 3, id: 'b' }, limit: 3, direction: 'backward' }
+      let rows = []
+      let page = { nextToken: null }
+      do {
+        page = await table.select(Object.assign({ after: page.nextToken }, options))
+        rows = rows.concat(page.rows)
+      } while (page.nextToken)
+      assert.deepStrictEqual(keys(rows), ['3a', '2d', '2c', '2b', '2a', '1d', '1c', '1b'])
+    })
+
+    it('scan', async () => {
+      let rows = []
+      for await (let row of table.scan({ startRow: { uid: 1, id: 'd' }, endRow: { uid: 2, id: 'c' }, direction: 'backward' })) {
+        rows.push(row)
+      }
+      assert.deepStrictEqual(keys(rows), ['2b', '2a', '1d'])
+    })
+  })
+
+  describe('批量操作', () => {
+    let driver
+    let batch
+    let rows = (count) => Array.from({ length: count }, (v, i) => ({ uid: i + 1, name: `u${i + 1}` }))
+
+    beforeEach(async () => {
+      driver = new TableStore.MemoryDriver()
+      let batchStore = new TableStore({ driver, retryPolicy: { baseDelay: 1, maxDelay: 2 } })
+      batch = batchStore.defineTable('user', { primaryKeys: [{ name: 'uid', type: 'INTEGER' }], columns: { name: String } })
+      await batchStore.sync({ create: true })
+    })
+
+    it('按请求上限分块', async () => {
+      let sizes = flaky(driver, 'batchWriteRow', 0)
+      let result = await batch.batchPut(rows(450))
+      assert.strictEqual(result.rows.length, 450)
+      assert.deepStrictEqual(result.failed, [])
+      assert.deepStrictEqual(sizes, [200, 200, 50])
+
+      sizes = flaky(driver, 'batchGetRow', 0)
+      let read = await batch.batchGet(rows(250).map(({ uid }) => ({ uid })), { chunkSize: 1000 })
+      assert.deepStrictEqual(sizes, [100, 100, 50])
+      assert.deepStrictEqual(read.rows.map((row) => row.uid), rows(250).map((row) => row.uid))
+    })
+
+    it('重试可重试的行级错误', async () => {
+      let sizes = flaky(driver, 'batchWriteRow', 2)
+      let result = await batch.batchPut(rows(8), { chunkSize: 4 })
+      assert.deepStrictEqual(result.failed, [])
+      assert.deepStrictEqual(result.rows.map((row) => row.uid), [1, 2, 3, 4, 5, 6, 7, 8])
+      assert.deepStrictEqual(sizes, [4, 4, 2, 2], '每个分块只重试失败的行')
+      assert.deepStrictEqual((await batch.getRange({ where: {} })).length, 8)
+
+      sizes = flaky(driver, 'batchGetRow', 1)
+      let read = await batch.batchGet([{ uid: 3 }, { uid: 1 }, { uid: 99 }, { uid: 2 }])
+      assert.deepStrictEqual(read.rows.map((row) => row.uid), [3, 1, 2])
+      assert.deepStrictEqual(sizes, [4, 2])
+    })
+
+    it('超过 maxRetries 或不可重试的行返回在 failed 中', async () => {
+      flaky(driver, 'batchWriteRow', 10)
+      let result = await batch.batchPut(rows(4), { maxRetries: 1 })
+      assert.deepStrictEqual(result.rows.map((row) => row.uid), [1, 2, 3])
+      assert.deepStrictEqual(result.failed.map((item) => [item.op, item.row.uid, item.code]), [['put', 4, 'OTSServerBusy']])
+      assert.ok(result.failed[0].error instanceof TableStore.ServerBusyError)
+
+      let inserted = await batch.batchInsert([{ uid: 1 }, { uid: 5 }])
+      assert.deepStrictEqual(inserted.rows.map((row) => row.uid), [5])
+      assert.deepStrictEqual(inserted.failed.map((item) => [item.row.uid, item.conditionFailed]), [[1, true]])
+    })
+  })
+
+  describe('更新操作符', () => {
+    let profile
+
+    beforeEach(async () => {
+      profile = store.defineTable('profile', { primaryKeys: [{ name: 'uid', type: 'INTEGER' }], columns: { views: 'INTEGER' }, maxVersions: 3 })
+      await store.sync({ create: true })
+      await profile.put({ uid: 1, name: 'a', views: 10, tmp: 'x', tag: [{ value: 'old', timestamp: 1000 }, { value: 'new', timestamp: 2000 }] })
+    })
+
+    it('$inc、$unset 与普通列', async () => {
+      await profile.update({ uid: 1, name: 'b', $inc: { views: -3 }, $unset: ['tmp'] })
+      let row = await profile.get({ uid: 1 })
+      assert.deepStrictEqual([row.name, row.views, row.tmp], ['b', 7, undefined])
+    })
+
+    it('returnColumns 返回原子加之后的值', async () => {
+      assert.deepStrictEqual(await profile.update({ uid: 1, $inc: { views: 5 } }, { returnColumns: ['views'] }), { uid: 1, views: 15 })
+
+      let result = await profile.batchWrite({ update: [{ uid: 1, $inc: { views: 1 } }] }, { returnColumns: ['views'] })
+      assert.deepStrictEqual(result.update.map((row) => row.views), [16])
+    })
+
+    it('$deleteVersion 只删除指定版本', async () => {
+      await profile.update({ uid: 1, $deleteVersion: { tag: 2000 } })
+      assert.strictEqual((await profile.get({ uid: 1 })).tag, 'old')
+    })
+
+    it('不正确的操作符抛出 ValidationError', async () => {
+      let rows = [
+        { uid: 1, $set: { name: 'a' } },
+        { uid: 1, $inc: { views: 1.5 } },
+        { uid: 1, $inc: { uid: 1 } },
+        { uid: 1, $deleteVersion: { tag: -1 } },
+        { uid: 1 }
+      ]
+      for (let row of rows) {
+        await assert.rejects(profile.update(row), TableStore.ValidationError, JSON.stringify(row))
+      }
+    })
+  })
+
+  describe('多版本读写', () => {
+    let history
+    let versions = (cell) => cell.map((item) => [item.value, item.timestamp])
+
+    beforeEach(async () => {
+      history = store.defineTable('history', { primaryKeys: [{ name: 'uid', type: 'INTEGER' }], maxVersions: 3 })
+      await store.sync({ create: true })
+      await history.put({ uid: 1, name: [{ value: 'a', timestamp: 1000 }, { value: 'b', timestamp: 2000 }], age: { value: 1, timestamp: 1500 } })
+      await history.update({ uid: 1, name: [{ value: 'c', timestamp: 3000 }, { value: 'd', timestamp: new Date(4000) }] })
+    })
+
+    it('只读最新版本时属性列为值', async () => {
+      assert.deepStrictEqual(await history.get({ uid: 1 }), { uid: 1, name: 'd', age: 1 })
+    })
+
+    it('maxVersions 从新到旧读取，超出表的最大版本数的旧版本被删除', async () => {
+      let row = await history.get({ uid: 1 }, { maxVersions: 10 })
+      assert.deepStrictEqual(versions(row.name), [['d', 4000], ['c', 3000], ['b', 2000]])
+      assert.deepStrictEqual(versions(row.age), [[1, 1500]])
+      assert.deepStrictEqual(versions((await history.get({ uid: 1 }, { maxVersions: 2 })).name), [['d', 4000], ['c', 3000]])
+    })
+
+    it('timeRange 包含 start，不包含 end', async () => {
+      let row = await history.get({ uid: 1 }, { maxVersions: 10, timeRange: { start: 2000, end: new Date(4000) } })
+      assert.deepStrictEqual(versions(row.name), [['c', 3000], ['b', 2000]])
+      assert.strictEqual(row.age, undefined)
+      assert.deepStrictEqual(versions((await history.get({ uid: 1 }, { timeRange: 1500 })).age), [[1, 1500]])
+      await assert.rejects(history.get({ uid: 1 }, { timeRange: { start: -1 } }), TableStore.ValidationError)
+    })
+
+    it('getRange、batchGet 与链式查询', async () => {
+      let [row] = await history.getRange({ where: {}, maxVersions: 2 })
+      assert.deepStrictEqual(versions(row.name), [['d', 4000], ['c', 3000]])
+
+      let { rows } = await history.batchGet([{ uid: 1 }], { timeRange: { end: 2500 } })
+      assert.deepStrictEqual(versions(rows[0].name), [['b', 2000]])
+
+      let [queried] = await history.query().where({ uid: 1 }).versions(1)
+      assert.deepStrictEqual(versions(queried.name), [['d', 4000]])
+    })
+  })
+
+  describe('自增主键', () => {
+    let message
+
+    beforeEach(async () => {
+      message = store.defineTable('message', {
+        primaryKeys: [{ name: 'uid', type: 'STRING' }, { name: 'id', type: 'INTEGER', autoIncrement: true }]
+      })
+      await store.sync({ create: true })
+    })
+
+    it('put、insert 返回生成的主键', async () => {
+      assert.deepStrictEqual(await message.put({ uid: 'a', text: 'x' }), { uid: 'a', id: 1, text: 'x' })
+      assert.deepStrictEqual(await message.insert({ uid: 'a', text: 'y' }), { uid: 'a', id: 2, text: 'y' })
+      assert.deepStrictEqual((await message.getRange({ where: { uid: 'a' } })).map((row) => [row.id, row.text]), [[1, 'x'], [2, 'y']])
+
+      // 指定主键时按原值写入
+      assert.deepStrictEqual(await message.put({ uid: 'a', id: 1, text: 'z' }), { uid: 'a', id: 1, text: 'z' })
+      await assert.rejects(message.put({ uid: 'a', text: 'w' }, { expect: 'exist' }), TableStore.ValidationError)
+    })
+
+    it('批量写入返回生成的主键', async () => {
+      let { rows } = await message.batchPut([{ uid: 'a', text: 'x' }, { uid: 'b', text: 'y' }])
+      assert.deepStrictEqual(rows.map((row) => [row.uid, row.id, row.text]), [['a', 1, 'x'], ['b', 2, 'y']])
+    })
+
+    it('同步时读取线上表的自增列', async () => {
+      let other = new TableStore({ driver: store.conn }).defineTable('message')
+      await other.sync()
+      assert.deepStrictEqual(other.primaryKeys.map((item) => [item.name, item.autoIncrement]), [['uid', false], ['id', true]])
+      assert.strictEqual((await other.put({ uid: 'a' })).id, 1)
+    })
+
+    it('模型保存后得到生成的主键', async () => {
+      const Message = store.defineModel('Message', {
+        uid: { type: String, primaryKey: true },
+        id: { type: Number, primaryKey: true, autoIncrement: true },
+        text: String
+      }, { tableName: 'message' })
+      let created = await Message.create({ uid: 'a', text: 'x' })
+      assert.strictEqual(created.id, 1)
+      assert.strictEqual((await Message.save({ uid: 'a', text: 'y' })).id, 2)
+      assert.strictEqual((await Message.findOne({ uid: 'a', id: 2 })).text, 'y')
+    })
+  })
+
+  describe('条件写入', () => {
+    let account
+    let rejectsCondition = (promise) => assert.rejects(promise, TableStore.ConditionCheckFailedError)
+
+    beforeEach(async () => {
+      account = store.defineTable('account', { primaryKeys: [{ name: 'uid', type: 'INTEGER' }], columns: { balance: 'INTEGER' } })
+      await store.sync({ create: true })
+      await account.put({ uid: 1, balance: 100, status: 'active' })
+    })
+
+    it('默认的行存在性期望', async () => {
+      await rejectsCondition(account.insert({ uid: 1, balance: 0 }))
+      await rejectsCondition(account.update({ uid: 2, balance: 0 }))
+      await account.put({ uid: 2, balance: 0 })
+      await account.delete({ uid: 3 })
+      assert.strictEqual((await account.get({ uid: 1 })).balance, 100)
+    })
+
+    it('expect 与 where', async () => {
+      await rejectsCondition(account.put({ uid: 3, balance: 0 }, { expect: 'exist' }))
+      await rejectsCondition(account.delete({ uid: 3 }, { expect: 'exist' }))
+      await account.insert({ uid: 1, balance: 0, status: 'active' }, { expect: 'ignore' })
+
+      await account.update({ uid: 1, balance: 100 })
+      await account.update({ uid: 1, $inc: { balance: -60 } }, { where: { balance: { $gte: 60 } } })
+      await rejectsCondition(account.update({ uid: 1, $inc: { balance: -60 } }, { where: { balance: { $gte: 60 } } }))
+      assert.strictEqual((await account.get({ uid: 1 })).balance, 40)
+
+      await rejectsCondition(account.delete({ uid: 1 }, { expect: 'exist', where: { status: 'expired' } }))
+      await account.delete({ uid: 1 }, { where: { balance: 40 } })
+      assert.strictEqual(await account.get({ uid: 1 }), null)
+      await assert.rejects(account.put({ uid: 1 }, { expect: 'maybe' }), TableStore.ValidationError)
+    })
+
+    it('批量写的单行条件优先于 options', async () => {
+      let result = await account.batchWrite({
+        insert: [{ uid: 1 }, { uid: 2, balance: 5 }],
+        update: [{ uid: 1, balance: 1, $where: { status: 'expired' } }, { uid: 3, balance: 3, $expect: 'ignore' }],
+        delete: [{ uid: 4, $expect: 'exist' }]
+      }, { where: { balance: { $gte: 0 } } })
+
+      assert.deepStrictEqual(result.insert.map((row) => row.uid), [2])
+      assert.deepStrictEqual(result.update.map((row) => row.uid), [3])
+      assert.deepStrictEqual(result.failed.map((item) => [item.op, item.row.uid, item.conditionFailed]), [
+        ['insert', 1, true], ['update', 1, true], ['delete', 4, true]
+      ])
+      assert.ok(result.failed.every((item) => item.error instanceof TableStore.ConditionCheckFailedError))
+    })
+  })
+
+  describe('局部事务', () => {
+    it('提交并返回回调的结果，数据行省略分区键时自动补上', async () => {
+      let ids = []
+      let putRow = store.conn.putRow.bind(store.conn)
+      store.conn.putRow = (params, callback) => {
+        ids.push(params.transactionId)
+        putRow(params, callback)
+      }
+
+      let result = await table.transaction({ uid: 2 }, async (tx) => {
+        await tx.put({ id: 'e', n: BigInt(1) })
+        await tx.update({ uid: 2, id: 'e', $inc: { n: 1 } })
+        await tx.batchWrite({ delete: [{ id: 'a' }] })
+        let row = await tx.get({ id: 'e' })
+        let rows = await tx.getRange({ where: {} })
+        return [row.n, keys(rows)]
+      })
+      assert.deepStrictEqual(result, [2, ['2b', '2c', '2d', '2e']])
+      assert.deepStrictEqual(keys(await table.getRange({ where: { uid: 2 } })), ['2b', '2c', '2d', '2e'])
+      assert.ok(ids.length === 1 && /^memory-/.test(ids[0]))
+    })
+
+    it('回调抛出错误时回滚', async () => {
+      await assert.rejects(table.transaction(2, async (tx) => {
+        await tx.delete({ id: 'a' })
+        await tx.put({ uid: 3, id: 'x' })
+      }), TableStore.ValidationError)
+      assert.deepStrictEqual(keys(await table.getRange({ where: { uid: 2 } })), ['2a', '2b', '2c', '2d'])
+      assert.deepStrictEqual(keys(await table.getRange({ where: { uid: 3 } })), ['3a', '3b', '3c', '3d'])
+    })
+
+    it('事务结束后不能再使用', async () => {
+      let saved
+      await table.transaction(1, async (tx) => { saved = tx })
+      assert.strictEqual(saved.state, 'committed')
+      await assert.rejects(saved.get({ id: 'a' }), TableStore.ValidationError)
+      await assert.rejects(table.transaction({}, async () => {}), TableStore.ValidationError)
+      await assert.rejects(table.transaction(1), TableStore.ValidationError)
+    })
+  })
+
+  describe('分页 token', () => {
+    let encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64')
+
+    it('继续读取下一页', async () => {
+      let page = await table.select({ where: { uid: 1 }, limit: 2 })
+      page = await table.select({ where: { uid: 1 }, limit: 2, after: page.nextToken })
+      assert.deepStrictEqual(keys(page.rows), ['1c', '1d'])
+    })
+
+    it('被篡改的 token 抛出 ValidationError', async () => {
+      let tokens = [
+        'not base64 json',
+        encode({}),
+        encode([null]),
+        encode([1]),
+        encode([['uid', 's', {}]]),
+        encode([['uid', 'i', '1'], ['id', 'x', 'b']]),
+        encode([['id', 's', 'b'], ['uid', 'i', '1']]),
+        encode([['uid', 's', '1'], ['id', 's', 'b']]),
+        encode([['uid', 'i', 'abc'], ['id', 's', 'b']]),
+        encode([['uid', 'i', '1'], ['id', 's', 'b'], ['x', 's', 'c']])
+      ]
+      for (let after of tokens) {
+        await assert.rejects(table.select({ where: { uid: 1 }, after }), TableStore.ValidationError, after)
+      }
+      let page = await table.select({ where: { uid: 1 }, after: encode([['uid', 'i', '1'], ['id', 's', 'c']]) })
+      assert.deepStrictEqual(keys(page.rows), ['1c', '1d'])
+    })
+  })
+})
@@ -0,0 +1,82 @@
+const assert = require('assert')
+const { Readable, Writable } = require('stream')
+const TableStore = require('../src/TableStore')
+
+/**
+ * 收集写入内容的可写流
+ * @return {Writable} 可写流（text() 返回已写入的内容）
+ */
+function collect () {
+  let chunks = []
+  let stream = new Writable({
+    write (chunk, encoding, callback) {
+      chunks.push(chunk)
+      callback()
+    }
+  })
+  stream.text = () => Buffer.concat(chunks).toString()
+  return stream
+}
+
+describe('Transfer', () => {
+  let store
+  let table
+
+  beforeEach(async () => {
+    store = new TableStore({ driver: new TableStore.MemoryDriver({ rangeLimit: 2 }) })
+    table = store.defineTable('event', {
+      primaryKeys: [{ name: 'uid', type: 'INTEGER' }, { name: 'id', type: 'STRING' }],
+      columns: { name: String }
+    })
+    await store.sync({ create: true })
+  })
+
+  describe('CSV 导出', () => {
+    it('表头包含后面的页才出现的列', async () => {
+      await table.batchPut([
+        { uid: 1, id: 'a', name: 'x' },
+        { uid: 1, id: 'b', name: 'y' },
+        { uid: 1, id: 'c', score: 1.5 },
+        { uid: 1, id: 'd', active: true }
+      ])
+      let stream = collect()
+      assert.deepStrictEqual(await table.export(stream, { format: 'csv' }), { total: 4 })
+      assert.deepStrictEqual(stream.text().split('\n'), [
+        'uid:INTEGER,id:STRING,name:STRING,active:BOOLEAN,score:DOUBLE',
+        '1,a,x,,',
+        '1,b,y,,',
+        '1,c,,,1.5',
+        '1,d,,true,',
+        ''
+      ])
+    })
+
+    it('同一列的类型不一致时在写入之前失败', async () => {
+      await table.batchPut([
+        { uid: 1, id: 'a', tag: 'x' },
+        { uid: 1, id: 'b', tag: 'y' },
+        { uid: 1, id: 'c', tag: 1 }
+      ])
+      let stream = collect()
+      await assert.rejects(table.export(stream, { format: 'csv' }), TableStore.ValidationError)
+      assert.strictEqual(stream.text(), '')
+    })
+
+    it('导入后数据不变', async () => {
+      let rows = [
+        { uid: 1, id: 'a', name: 'x,"y"', score: 1.5 },
+        { uid: 1, id: 'b', name: '' },
+        { uid: 2, id: 'a', active: false }
+      ]
+      await table.batchPut(rows)
+      let stream = collect()
+      await table.export(stream, { format: 'csv' })
+
+      await store.deleteTable({ tableName: 'event' })
+      await store.sync({ create: true })
+      let result = await table.import(Readable.from([stream.text()]), { format: 'csv' })
+      assert.strictEqual(result.written, 3)
+      assert.deepStrictEqual(await table.getRange({ where: {} }), rows)
+    })
+  })
+})